@@ -0,0 +1,57 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { checkAlertsAuth } from '@/lib/alerts/auth';
+import { parseRuleInput, publicRule } from '@/lib/alerts/rules';
+import { getAlertStore } from '@/lib/alerts/store';
+import { ensureIngestion } from '@/lib/news/ingest';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+type Params = { params: { id: string } };
+
+function notFound(id: string) {
+  return NextResponse.json({ error: { code: 'not_found', message: `No alert rule ${id}` } }, { status: 404 });
+}
+
+export async function GET(request: NextRequest, { params }: Params) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  const rule = await getAlertStore().getRule(params.id);
+  return rule ? NextResponse.json({ rule: publicRule(rule) }) : notFound(params.id);
+}
+
+export async function PATCH(request: NextRequest, { params }: Params) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: { code: 'invalid_json', message: 'Request body must be JSON' } }, { status: 400 });
+  }
+
+  const updated = await getAlertStore().updateRule(params.id, (existing) => parseRuleInput(body, existing));
+  if (!updated) return notFound(params.id);
+  const { previous, result } = updated;
+  if (!result.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_rule', message: 'Invalid alert rule', details: result.errors } },
+      { status: 400 }
+    );
+  }
+
+  const { rule } = result;
+  // Rules only fire from the ingestion loop; normally already running since boot.
+  if (rule.enabled) ensureIngestion();
+  return NextResponse.json({ rule: publicRule(rule, { withSecret: rule.secret !== previous.secret }) });
+}
+
+export async function DELETE(request: NextRequest, { params }: Params) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  const deleted = await getAlertStore().deleteRule(params.id);
+  return deleted ? new Response(null, { status: 204 }) : notFound(params.id);
+}
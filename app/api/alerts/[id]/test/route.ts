@@ -0,0 +1,36 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { checkAlertsAuth } from '@/lib/alerts/auth';
+import { dispatchAlert } from '@/lib/alerts/engine';
+import { getAlertStore } from '@/lib/alerts/store';
+import type { NewsItem } from '@/lib/news/types';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// Sends a sample item to the rule's webhook (single attempt) so receivers can be checked end to end.
+// The delivery record carries the outcome; the response status doesn't depend on the receiver.
+export async function POST(request: NextRequest, { params }: { params: { id: string } }) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  const rule = await getAlertStore().getRule(params.id);
+  if (!rule) {
+    return NextResponse.json({ error: { code: 'not_found', message: `No alert rule ${params.id}` } }, { status: 404 });
+  }
+
+  const now = new Date().toISOString();
+  const item: NewsItem = {
+    id: 'test_alert',
+    title: `Test alert for "${rule.name}"`,
+    summary: 'This is a test delivery from the news dashboard.',
+    url: 'https://example.com/test-alert',
+    published_at: now,
+    source: 'Test',
+    symbols: rule.symbols ?? [],
+    provider: 'mock',
+    sentiment: { score: 0, label: 'neutral' }
+  };
+
+  const delivery = await dispatchAlert(rule, item, { test: true, maxAttempts: 1 });
+  return NextResponse.json({ delivery });
+}
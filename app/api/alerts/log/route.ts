@@ -0,0 +1,41 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { checkAlertsAuth } from '@/lib/alerts/auth';
+import { getAlertStore } from '@/lib/alerts/store';
+import type { DeliveryStatus } from '@/lib/alerts/types';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const STATUSES: DeliveryStatus[] = ['pending', 'delivered', 'failed'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+export async function GET(request: NextRequest) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  const params = request.nextUrl.searchParams;
+  const ruleId = params.get('rule_id');
+  const status = params.get('status') as DeliveryStatus | null;
+  const limit = params.get('limit') ? Number(params.get('limit')) : DEFAULT_LIMIT;
+
+  const errors = [];
+  if (status && !STATUSES.includes(status)) {
+    errors.push({ param: 'status', message: `Must be one of: ${STATUSES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ param: 'limit', message: `Must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+  if (errors.length) {
+    return NextResponse.json(
+      { error: { code: 'invalid_query', message: 'Invalid query parameters', details: errors } },
+      { status: 400 }
+    );
+  }
+
+  const deliveries = (await getAlertStore().listDeliveries())
+    .filter((d) => (!ruleId || d.rule_id === ruleId) && (!status || d.status === status))
+    .slice(0, limit);
+
+  return NextResponse.json({ deliveries, meta: { count: deliveries.length, updated_at: new Date().toISOString() } });
+}
@@ -0,0 +1,41 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { checkAlertsAuth } from '@/lib/alerts/auth';
+import { parseRuleInput, publicRule } from '@/lib/alerts/rules';
+import { getAlertStore } from '@/lib/alerts/store';
+import { ensureIngestion } from '@/lib/news/ingest';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request: NextRequest) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  const rules = await getAlertStore().listRules();
+  return NextResponse.json({ rules: rules.map((rule) => publicRule(rule)) });
+}
+
+export async function POST(request: NextRequest) {
+  const denied = checkAlertsAuth(request);
+  if (denied) return denied;
+
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: { code: 'invalid_json', message: 'Request body must be JSON' } }, { status: 400 });
+  }
+
+  const parsed = parseRuleInput(body);
+  if (!parsed.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_rule', message: 'Invalid alert rule', details: parsed.errors } },
+      { status: 400 }
+    );
+  }
+
+  const rule = await getAlertStore().saveRule(parsed.rule);
+  // Rules only fire from the ingestion loop; normally already running since boot.
+  if (rule.enabled) ensureIngestion();
+  return NextResponse.json({ rule: publicRule(rule, { withSecret: true }) }, { status: 201 });
+}
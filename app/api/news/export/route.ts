@@ -0,0 +1,57 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { EXPORT_CONTENT_TYPES, EXPORT_FORMATS, formatExport, type ExportFormat } from '@/lib/news/export';
+import { filterNews, parseNewsQuery, sortNews } from '@/lib/news/query';
+import { queryArchive } from '@/lib/news/store';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const DEFAULT_EXPORT_LIMIT = 1000;
+const MAX_EXPORT_LIMIT = 10_000;
+
+export async function GET(request: NextRequest) {
+  const params = new URLSearchParams(request.nextUrl.searchParams);
+  const format = (params.get('format') || 'ndjson') as ExportFormat;
+  const rawLimit = params.get('limit');
+  params.delete('format');
+  params.delete('limit');
+  params.delete('cursor');
+
+  const parsed = parseNewsQuery(params);
+  const errors = parsed.ok ? [] : [...parsed.errors];
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push({ param: 'format', message: `Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  let limit = DEFAULT_EXPORT_LIMIT;
+  if (rawLimit) {
+    limit = Number(rawLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EXPORT_LIMIT) {
+      errors.push({ param: 'limit', message: `Must be an integer between 1 and ${MAX_EXPORT_LIMIT}` });
+    }
+  }
+
+  if (errors.length || !parsed.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_query', message: 'Invalid query parameters', details: errors } },
+      { status: 400 }
+    );
+  }
+  const { query } = parsed;
+
+  const { items: archived } = await queryArchive(query);
+  const items = sortNews(filterNews(archived, query), query).slice(0, limit);
+
+  const updatedAt = new Date().toISOString();
+  const body = formatExport(format, items, {
+    title: 'Financial News Dashboard',
+    link: request.nextUrl.origin,
+    selfLink: request.nextUrl.href,
+    updatedAt
+  });
+
+  const headers: Record<string, string> = { 'Content-Type': EXPORT_CONTENT_TYPES[format], 'Cache-Control': 'no-store' };
+  if (format === 'csv' || format === 'ndjson') {
+    headers['Content-Disposition'] = `attachment; filename="news-${updatedAt.slice(0, 10)}.${format}"`;
+  }
+  return new Response(body, { headers });
+}
@@ -0,0 +1,33 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { filterNews, paginateNews, parseNewsQuery, sortNews } from '@/lib/news/query';
+import { getNewsStore, queryArchive } from '@/lib/news/store';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request: NextRequest) {
+  const parsed = parseNewsQuery(request.nextUrl.searchParams);
+  if (!parsed.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_query', message: 'Invalid query parameters', details: parsed.errors } },
+      { status: 400 }
+    );
+  }
+  const { query } = parsed;
+
+  const { items: archived, range } = await queryArchive(query);
+  const matched = sortNews(filterNews(archived, query), query);
+  const { items, nextCursor } = paginateNews(matched, query);
+
+  return NextResponse.json({
+    items,
+    meta: {
+      since: range.since,
+      until: range.until ?? null,
+      counts: { archived: archived.length, matched: matched.length },
+      archive: await getNewsStore().stats(),
+      next_cursor: nextCursor,
+      updated_at: new Date().toISOString()
+    }
+  });
+}
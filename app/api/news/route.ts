@@ -1,32 +1,33 @@
 ﻿import { NextRequest, NextResponse } from 'next/server';
+import { collectNews } from '@/lib/news/pipeline';
+import { filterNews, paginateNews, parseNewsQuery, sortNews } from '@/lib/news/query';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
 
 export async function GET(request: NextRequest) {
-  const mockNews = [
-    {
-      id: 'test_1',
-      title: 'Test News Item 1',
-      summary: 'This is a test news item',
-      url: 'https://example.com',
-      published_at: new Date().toISOString(),
-      source: 'Test',
-      symbols: ['AAPL', 'MSFT']
-    },
-    {
-      id: 'test_2', 
-      title: 'Test News Item 2',
-      summary: 'Another test news item',
-      url: 'https://example.com',
-      published_at: new Date().toISOString(),
-      source: 'Test',
-      symbols: ['GOOGL', 'TSLA']
-    }
-  ];
+  const parsed = parseNewsQuery(request.nextUrl.searchParams);
+  if (!parsed.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_query', message: 'Invalid query parameters', details: parsed.errors } },
+      { status: 400 }
+    );
+  }
+  const { query } = parsed;
+
+  const { items: collected, counts, errors, stale, rateLimited } = await collectNews(query.symbols);
+  const matched = sortNews(filterNews(collected, query), query);
+  const { items, nextCursor } = paginateNews(matched, query);
 
   return NextResponse.json({
-    items: mockNews,
+    items,
     meta: {
-      counts: { test: 2 },
-      errors: [],
+      counts: { ...counts, matched: matched.length },
+      errors,
+      stale: stale.length > 0,
+      stale_providers: stale,
+      rate_limited_providers: rateLimited,
+      next_cursor: nextCursor,
       updated_at: new Date().toISOString()
     }
   });
@@ -0,0 +1,56 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { collectNews } from '@/lib/news/pipeline';
+import { filterNews, parseNewsQuery } from '@/lib/news/query';
+import { sentimentSeries } from '@/lib/news/sentiment';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const BUCKETS: Record<string, number> = {
+  '15m': 15 * 60_000,
+  '1h': 3_600_000,
+  '4h': 4 * 3_600_000,
+  '1d': 86_400_000
+};
+
+export async function GET(request: NextRequest) {
+  const params = request.nextUrl.searchParams;
+  const rawSymbol = params.get('symbol')?.trim() ?? '';
+  const bucket = params.get('bucket') || '1h';
+
+  // Reuse the news query parser for symbol normalization and time-window validation.
+  const parsed = parseNewsQuery(new URLSearchParams({ symbols: rawSymbol, since: params.get('since') ?? '', until: params.get('until') ?? '' }));
+  const errors = parsed.ok ? [] : parsed.errors.map((e) => (e.param === 'symbols' ? { ...e, param: 'symbol' } : e));
+  if (!rawSymbol) errors.push({ param: 'symbol', message: 'Required' });
+  else if (parsed.ok && parsed.query.symbols.length !== 1) errors.push({ param: 'symbol', message: 'Must be a single symbol' });
+  if (!BUCKETS[bucket]) errors.push({ param: 'bucket', message: `Must be one of: ${Object.keys(BUCKETS).join(', ')}` });
+
+  if (errors.length || !parsed.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_query', message: 'Invalid query parameters', details: errors } },
+      { status: 400 }
+    );
+  }
+
+  // Items carry normalized symbols, so match on BRK.B / META rather than brk-b / FB.
+  const [symbol] = parsed.query.symbols;
+  const { items, errors: providerErrors, stale } = await collectNews([symbol]);
+  const series = sentimentSeries(filterNews(items, parsed.query), symbol, BUCKETS[bucket]);
+  const scored = series.filter((b) => b.score !== null);
+  const total = scored.reduce((n, b) => n + b.count, 0);
+
+  return NextResponse.json({
+    symbol,
+    bucket,
+    series,
+    overall: {
+      count: total,
+      score: total ? Math.round((scored.reduce((sum, b) => sum + (b.score ?? 0) * b.count, 0) / total) * 1000) / 1000 : null
+    },
+    meta: {
+      errors: providerErrors,
+      stale: stale.length > 0,
+      updated_at: new Date().toISOString()
+    }
+  });
+}
@@ -0,0 +1,80 @@
+﻿import { NextRequest, NextResponse } from 'next/server';
+import { eventsSince, subscribe, type IngestEvent } from '@/lib/news/ingest';
+import { filterNews, parseNewsQuery } from '@/lib/news/query';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const HEARTBEAT_MS = 15_000;
+const RETRY_MS = 5_000;
+
+function formatEvent({ seq, item }: IngestEvent): string {
+  return `id: ${seq}\nevent: news\ndata: ${JSON.stringify(item)}\n\n`;
+}
+
+export async function GET(request: NextRequest) {
+  const parsed = parseNewsQuery(request.nextUrl.searchParams);
+  if (!parsed.ok) {
+    return NextResponse.json(
+      { error: { code: 'invalid_query', message: 'Invalid query parameters', details: parsed.errors } },
+      { status: 400 }
+    );
+  }
+  const { query } = parsed;
+
+  // EventSource sends Last-Event-ID on reconnects; allow it as a query param for the first connect.
+  const rawLastId = request.headers.get('last-event-id') ?? request.nextUrl.searchParams.get('lastEventId');
+  const lastId = rawLastId && /^\d+$/.test(rawLastId) ? Number(rawLastId) : null;
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      const send = (chunk: string) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          cleanup();
+        }
+      };
+      const sendEvents = (events: IngestEvent[]) => {
+        const wanted = new Set(filterNews(events.map((e) => e.item), query));
+        for (const event of events) if (wanted.has(event.item)) send(formatEvent(event));
+      };
+
+      send(`retry: ${RETRY_MS}\n\n`);
+      if (lastId !== null) {
+        const { events, complete } = eventsSince(lastId);
+        if (!complete) send(': replay incomplete, some events were dropped from the buffer\n\n');
+        sendEvents(events);
+      }
+
+      const unsubscribe = subscribe(sendEvents);
+      const heartbeat = setInterval(() => send(`: heartbeat ${Date.now()}\n\n`), HEARTBEAT_MS);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        try {
+          controller.close();
+        } catch {
+          // already closed
+        }
+      };
+      request.signal.addEventListener('abort', () => cleanup());
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
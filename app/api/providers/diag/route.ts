@@ -1,21 +1,25 @@
 ﻿import { NextResponse } from 'next/server';
+import { getProviderStats } from '@/lib/news/guard';
+import { PROVIDERS } from '@/lib/news/providers';
 
-export async function GET() {
-  const clientHas = {
-    ALPHAVANTAGE_KEY: !!process.env.ALPHAVANTAGE_KEY,
-    FMP_KEY: !!process.env.FMP_KEY,
-    FINNHUB_KEY: !!process.env.FINNHUB_KEY
-  };
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
 
-  const serverHas = {
-    ALPHAVANTAGE_KEY: !!process.env.ALPHAVANTAGE_KEY,
-    FMP_KEY: !!process.env.FMP_KEY,
-    FINNHUB_KEY: !!process.env.FINNHUB_KEY
-  };
+export async function GET() {
+  const providers = Object.fromEntries(
+    PROVIDERS.map((def) => [
+      def.id,
+      {
+        env_key: def.envKey,
+        configured: !!process.env[def.envKey],
+        ttl_ms: def.ttlMs,
+        ...getProviderStats(def.id)
+      }
+    ])
+  );
 
   return NextResponse.json({
-    clientHas,
-    serverHas,
+    providers,
     timestamp: new Date().toISOString()
   });
 }
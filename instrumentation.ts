@@ -0,0 +1,12 @@
+﻿/**
+ * Runs once when the Next.js server boots. News ingestion is an always-on
+ * service: it feeds the SSE stream, the archive and alert rules whether or not
+ * anyone has the dashboard open.
+ */
+export async function register() {
+  // Checked inline so the edge build drops the Node-only import.
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { ensureIngestion } = await import('./src/lib/news/ingest');
+    ensureIngestion();
+  }
+}
@@ -0,0 +1,220 @@
+﻿'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import NewsFeed from './NewsFeed';
+import SentimentSparkline from './SentimentSparkline';
+import WatchlistSidebar from './WatchlistSidebar';
+import { useLocalStorage } from '@/hooks/useLocalStorage';
+import type { NewsItem, ProviderErrorInfo } from '@/lib/news/types';
+
+const DEFAULT_WATCHLIST = ['AAPL', 'MSFT', 'GOOGL', 'TSLA'];
+const POLL_MS = 120_000;
+const MAX_ITEMS = 500;
+const MAX_READ_IDS = 2000;
+
+type NewsMeta = {
+  counts: Record<string, number>;
+  errors: ProviderErrorInfo[];
+  rate_limited_providers?: string[];
+  updated_at: string;
+};
+
+type LoadState = 'loading' | 'ready' | 'failed';
+
+function mergeItems(incoming: NewsItem[], existing: NewsItem[]): NewsItem[] {
+  const byId = new Map<string, NewsItem>();
+  for (const item of [...incoming, ...existing]) if (!byId.has(item.id)) byId.set(item.id, item);
+  return Array.from(byId.values())
+    .sort((a, b) => b.published_at.localeCompare(a.published_at))
+    .slice(0, MAX_ITEMS);
+}
+
+export default function Dashboard() {
+  const [watchlist, setWatchlist] = useLocalStorage<string[]>('fnd.watchlist', DEFAULT_WATCHLIST);
+  const [lastSeenAt, setLastSeenAt] = useLocalStorage<string | null>('fnd.lastSeenAt', null);
+  const [readIds, setReadIds] = useLocalStorage<string[]>('fnd.readIds', []);
+
+  const [activeSymbol, setActiveSymbol] = useState<string | null>(null);
+  const [watchlistOnly, setWatchlistOnly] = useState(false);
+  const [source, setSource] = useState('');
+  const [items, setItems] = useState<NewsItem[]>([]);
+  const [meta, setMeta] = useState<NewsMeta | null>(null);
+  const [loadState, setLoadState] = useState<LoadState>('loading');
+  const [now, setNow] = useState(() => Date.now());
+
+  const symbolFilter = useMemo(
+    () => (activeSymbol ? [activeSymbol] : watchlistOnly ? watchlist : []),
+    [activeSymbol, watchlistOnly, watchlist]
+  );
+
+  const params = useMemo(() => {
+    const p = new URLSearchParams({ limit: '200' });
+    if (symbolFilter.length) p.set('symbols', symbolFilter.join(','));
+    if (source) p.set('sources', source);
+    return p.toString();
+  }, [symbolFilter, source]);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/news?${params}`, { cache: 'no-store' });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body?.error?.message ?? `HTTP ${res.status}`);
+      setItems(body.items);
+      setMeta(body.meta);
+      setLoadState('ready');
+    } catch (err) {
+      setMeta({
+        counts: {},
+        errors: [{ provider: 'dashboard', message: err instanceof Error ? err.message : String(err) }],
+        updated_at: new Date().toISOString()
+      });
+      setLoadState('failed');
+    }
+  }, [params]);
+
+  useEffect(() => {
+    setLoadState('loading');
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  useEffect(() => {
+    const events = new EventSource(`/api/news/stream?${params}`);
+    events.addEventListener('news', (e) => {
+      const item = JSON.parse((e as MessageEvent).data) as NewsItem;
+      setItems((prev) => mergeItems([item], prev));
+    });
+    return () => events.close();
+  }, [params]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30_000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // First visit: treat everything already published as read.
+  useEffect(() => {
+    if (loadState === 'ready' && lastSeenAt === null && items.length) setLastSeenAt(items[0].published_at);
+  }, [loadState, lastSeenAt, items, setLastSeenAt]);
+
+  const unread = useMemo(() => {
+    const read = new Set(readIds);
+    return new Set(
+      items.filter((i) => lastSeenAt !== null && i.published_at > lastSeenAt && !read.has(i.id)).map((i) => i.id)
+    );
+  }, [items, lastSeenAt, readIds]);
+
+  const unreadBySymbol = useMemo(() => {
+    const counts: Record<string, number> = {};
+    for (const item of items) {
+      if (!unread.has(item.id)) continue;
+      for (const symbol of item.symbols) counts[symbol] = (counts[symbol] ?? 0) + 1;
+    }
+    return counts;
+  }, [items, unread]);
+
+  const sourceOptions = useMemo(() => {
+    const names = new Set<string>(source ? [source] : []);
+    for (const item of items) for (const s of item.sources ?? [item]) names.add(s.source);
+    return Array.from(names).sort((a, b) => a.localeCompare(b));
+  }, [items, source]);
+
+  const markRead = useCallback(
+    (item: NewsItem) => setReadIds((prev) => [item.id, ...prev.filter((id) => id !== item.id)].slice(0, MAX_READ_IDS)),
+    [setReadIds]
+  );
+
+  const markAllRead = () => {
+    if (items.length) setLastSeenAt(items[0].published_at);
+    setReadIds([]);
+  };
+
+  const errors = meta?.errors ?? [];
+
+  return (
+    <div className="h-screen flex">
+      <WatchlistSidebar
+        symbols={watchlist}
+        active={activeSymbol}
+        counts={unreadBySymbol}
+        onAdd={(symbol) => setWatchlist((prev) => (prev.includes(symbol) ? prev : [...prev, symbol]))}
+        onRemove={(symbol) => {
+          setWatchlist((prev) => prev.filter((s) => s !== symbol));
+          if (activeSymbol === symbol) setActiveSymbol(null);
+        }}
+        onSelect={setActiveSymbol}
+      />
+
+      <main className="flex-1 min-w-0 flex flex-col">
+        <header className="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-neutral-800">
+          <h1 className="text-lg font-semibold mr-auto">
+            Financial News
+            {activeSymbol && <span className="ml-2 text-sky-400">{activeSymbol}</span>}
+          </h1>
+          {activeSymbol && <SentimentSparkline symbol={activeSymbol} />}
+          <label className="flex items-center gap-2 text-sm text-neutral-300">
+            <input
+              type="checkbox"
+              checked={watchlistOnly}
+              onChange={(e) => setWatchlistOnly(e.target.checked)}
+              className="accent-sky-500"
+            />
+            Watchlist only
+          </label>
+          <select
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            className="px-2 py-1 rounded bg-neutral-900 border border-neutral-700 text-sm"
+          >
+            <option value="">All sources</option>
+            {sourceOptions.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={markAllRead}
+            disabled={!unread.size}
+            className="px-2 py-1 rounded border border-neutral-700 text-sm hover:bg-neutral-800 disabled:opacity-40"
+          >
+            Mark all read{unread.size ? ` (${unread.size})` : ''}
+          </button>
+        </header>
+
+        {errors.length > 0 && (
+          <div className="px-4 py-2 border-b border-amber-900 bg-amber-950/40 text-sm text-amber-300">
+            {errors.map((e) => (
+              <p key={`${e.provider}:${e.message}`}>
+                <span className="font-medium">{e.provider}</span>: {e.message}
+              </p>
+            ))}
+          </div>
+        )}
+        {!!meta?.rate_limited_providers?.length && (
+          <div className="px-4 py-1 border-b border-neutral-800 text-xs text-neutral-400">
+            Over the rate limit, showing cached results: {meta.rate_limited_providers.join(', ')}
+          </div>
+        )}
+
+        <div className="flex-1 min-h-0">
+          {loadState === 'loading' && items.length === 0 ? (
+            <p className="p-8 text-neutral-400">Loading news…</p>
+          ) : items.length === 0 ? (
+            <div className="p-8 text-neutral-400">
+              {errors.length ? (
+                <p>No news available. See the provider errors above.</p>
+              ) : (
+                <p>No news matches the current filters.</p>
+              )}
+            </div>
+          ) : (
+            <NewsFeed items={items} unread={unread} now={now} onOpen={markRead} onSymbolClick={setActiveSymbol} />
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+﻿'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { formatRelativeTime } from '@/lib/time';
+import type { NewsItem } from '@/lib/news/types';
+
+const ROW_HEIGHT = 112;
+const OVERSCAN = 6;
+
+type NewsFeedProps = {
+  items: NewsItem[];
+  unread: Set<string>;
+  now: number;
+  onOpen: (item: NewsItem) => void;
+  onSymbolClick: (symbol: string) => void;
+};
+
+function NewsRow({ item, isUnread, now, onOpen, onSymbolClick }: {
+  item: NewsItem;
+  isUnread: boolean;
+  now: number;
+  onOpen: (item: NewsItem) => void;
+  onSymbolClick: (symbol: string) => void;
+}) {
+  const sources = item.sources?.length ? item.sources.map((s) => s.source) : [item.source];
+
+  return (
+    <article
+      className={`h-full border-b border-neutral-800 px-4 py-3 flex flex-col gap-1 ${
+        isUnread ? 'bg-sky-950/40 border-l-2 border-l-sky-400' : 'border-l-2 border-l-transparent'
+      }`}
+    >
+      <div className="flex items-center gap-2 text-xs text-neutral-400">
+        <time dateTime={item.published_at} title={new Date(item.published_at).toLocaleString()}>
+          {formatRelativeTime(item.published_at, now)}
+        </time>
+        <span className="truncate">{Array.from(new Set(sources)).join(' · ')}</span>
+        {item.sentiment && item.sentiment.label !== 'neutral' && (
+          <span
+            title={`Sentiment ${item.sentiment.score}`}
+            className={item.sentiment.label === 'positive' ? 'text-emerald-400' : 'text-red-400'}
+          >
+            {item.sentiment.label === 'positive' ? '▲' : '▼'}
+          </span>
+        )}
+        {isUnread && <span className="ml-auto text-sky-400 font-medium">new</span>}
+      </div>
+      <a
+        href={item.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        onClick={() => onOpen(item)}
+        className={`line-clamp-1 hover:underline ${isUnread ? 'font-semibold text-neutral-50' : 'text-neutral-200'}`}
+      >
+        {item.title}
+      </a>
+      {item.summary && <p className="line-clamp-1 text-sm text-neutral-400">{item.summary}</p>}
+      <div className="flex gap-1 overflow-hidden">
+        {item.symbols.map((symbol) => (
+          <button
+            key={symbol}
+            type="button"
+            onClick={() => onSymbolClick(symbol)}
+            className="px-1.5 py-0.5 rounded bg-neutral-800 text-xs text-neutral-300 hover:bg-neutral-700"
+          >
+            {symbol}
+          </button>
+        ))}
+      </div>
+    </article>
+  );
+}
+
+/** Fixed-height rows; only the visible window (plus overscan) is rendered. */
+export default function NewsFeed({ items, unread, now, onOpen, onSymbolClick }: NewsFeedProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(800);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => setViewportHeight(el.clientHeight));
+    observer.observe(el);
+    setViewportHeight(el.clientHeight);
+    return () => observer.disconnect();
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const end = Math.min(items.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className="h-full overflow-y-auto"
+    >
+      <div style={{ height: items.length * ROW_HEIGHT, position: 'relative' }}>
+        {items.slice(start, end).map((item, i) => (
+          <div key={item.id} style={{ position: 'absolute', top: (start + i) * ROW_HEIGHT, height: ROW_HEIGHT, left: 0, right: 0 }}>
+            <NewsRow
+              item={item}
+              isUnread={unread.has(item.id)}
+              now={now}
+              onOpen={onOpen}
+              onSymbolClick={onSymbolClick}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+﻿'use client';
+
+import { useEffect, useState } from 'react';
+import type { SentimentBucket } from '@/lib/news/sentiment';
+
+const WIDTH = 160;
+const HEIGHT = 32;
+
+type SentimentResponse = {
+  series: SentimentBucket[];
+  overall: { count: number; score: number | null };
+};
+
+export default function SentimentSparkline({ symbol }: { symbol: string }) {
+  const [data, setData] = useState<SentimentResponse | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    fetch(`/api/news/sentiment?symbol=${encodeURIComponent(symbol)}&bucket=1h`, { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((body) => !cancelled && setData(body))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol]);
+
+  const points = (data?.series ?? []).filter((b) => b.score !== null);
+  if (!data || points.length === 0) return null;
+
+  const step = points.length > 1 ? WIDTH / (points.length - 1) : 0;
+  const y = (score: number) => HEIGHT / 2 - (score * HEIGHT) / 2;
+  const path = points.map((b, i) => `${i ? 'L' : 'M'}${(i * step).toFixed(1)},${y(b.score ?? 0).toFixed(1)}`).join(' ');
+  const overall = data.overall.score ?? 0;
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-neutral-400" title={`${data.overall.count} items, hourly`}>
+      <svg width={WIDTH} height={HEIGHT} className="overflow-visible">
+        <line x1={0} x2={WIDTH} y1={HEIGHT / 2} y2={HEIGHT / 2} className="stroke-neutral-700" strokeDasharray="2 2" />
+        <path d={path} fill="none" strokeWidth={1.5} className={overall >= 0 ? 'stroke-emerald-400' : 'stroke-red-400'} />
+      </svg>
+      <span className={overall > 0 ? 'text-emerald-400' : overall < 0 ? 'text-red-400' : ''}>
+        {overall > 0 ? '+' : ''}
+        {overall.toFixed(2)}
+      </span>
+    </div>
+  );
+}
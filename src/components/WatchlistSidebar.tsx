@@ -0,0 +1,70 @@
+﻿'use client';
+
+import { useState, type FormEvent } from 'react';
+
+type WatchlistSidebarProps = {
+  symbols: string[];
+  active: string | null;
+  counts: Record<string, number>;
+  onAdd: (symbol: string) => void;
+  onRemove: (symbol: string) => void;
+  onSelect: (symbol: string | null) => void;
+};
+
+export default function WatchlistSidebar({ symbols, active, counts, onAdd, onRemove, onSelect }: WatchlistSidebarProps) {
+  const [draft, setDraft] = useState('');
+
+  const submit = (e: FormEvent) => {
+    e.preventDefault();
+    const symbol = draft.trim().toUpperCase().replace(/^\$/, '');
+    if (/^[A-Z0-9][A-Z0-9.\-]{0,11}$/.test(symbol)) onAdd(symbol);
+    setDraft('');
+  };
+
+  return (
+    <aside className="w-56 shrink-0 border-r border-neutral-800 flex flex-col">
+      <h2 className="px-4 pt-4 pb-2 text-xs uppercase tracking-wide text-neutral-400">Watchlist</h2>
+      <form onSubmit={submit} className="px-4 pb-3">
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Add ticker…"
+          className="w-full px-2 py-1 rounded bg-neutral-900 border border-neutral-700 text-sm placeholder:text-neutral-500 focus:outline-none focus:border-sky-500"
+        />
+      </form>
+      <ul className="flex-1 overflow-y-auto">
+        <li>
+          <button
+            type="button"
+            onClick={() => onSelect(null)}
+            className={`w-full px-4 py-1.5 text-left text-sm ${active === null ? 'bg-neutral-800 text-neutral-50' : 'text-neutral-300 hover:bg-neutral-900'}`}
+          >
+            All news
+          </button>
+        </li>
+        {symbols.map((symbol) => (
+          <li key={symbol} className="group flex items-center">
+            <button
+              type="button"
+              onClick={() => onSelect(symbol)}
+              className={`flex-1 px-4 py-1.5 text-left text-sm flex justify-between ${
+                active === symbol ? 'bg-neutral-800 text-neutral-50' : 'text-neutral-300 hover:bg-neutral-900'
+              }`}
+            >
+              <span>{symbol}</span>
+              {counts[symbol] ? <span className="text-xs text-sky-400">{counts[symbol]}</span> : null}
+            </button>
+            <button
+              type="button"
+              onClick={() => onRemove(symbol)}
+              aria-label={`Remove ${symbol}`}
+              className="px-2 text-neutral-500 opacity-0 group-hover:opacity-100 hover:text-red-400"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,34 @@
+﻿'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+
+/** useState backed by localStorage. Reads after mount so server and client renders match. */
+export function useLocalStorage<T>(key: string, initial: T): [T, (value: T | ((prev: T) => T)) => void] {
+  const [value, setValue] = useState<T>(initial);
+
+  useEffect(() => {
+    try {
+      const stored = window.localStorage.getItem(key);
+      if (stored !== null) setValue(JSON.parse(stored) as T);
+    } catch {
+      // ignore unreadable or malformed storage
+    }
+  }, [key]);
+
+  const update = useCallback(
+    (next: T | ((prev: T) => T)) => {
+      setValue((prev) => {
+        const resolved = typeof next === 'function' ? (next as (prev: T) => T)(prev) : next;
+        try {
+          window.localStorage.setItem(key, JSON.stringify(resolved));
+        } catch {
+          // storage full or disabled; keep the in-memory value
+        }
+        return resolved;
+      });
+    },
+    [key]
+  );
+
+  return [value, update];
+}
@@ -0,0 +1,28 @@
+﻿import { createHash, timingSafeEqual } from 'node:crypto';
+import { NextResponse } from 'next/server';
+
+const digest = (value: string) => createHash('sha256').update(value).digest();
+
+/**
+ * The alert routes change state and make outbound requests, so they require
+ * `Authorization: Bearer <ALERTS_API_TOKEN>`. Without a configured token they
+ * stay disabled. Returns the error response, or null when the caller may proceed.
+ */
+export function checkAlertsAuth(request: Request): NextResponse | null {
+  const expected = process.env.ALERTS_API_TOKEN;
+  if (!expected) {
+    return NextResponse.json(
+      { error: { code: 'alerts_disabled', message: 'Set ALERTS_API_TOKEN to enable the alerts API' } },
+      { status: 503 }
+    );
+  }
+
+  const token = /^Bearer\s+(.+)$/i.exec(request.headers.get('authorization') ?? '')?.[1]?.trim() ?? '';
+  if (!timingSafeEqual(digest(token), digest(expected))) {
+    return NextResponse.json(
+      { error: { code: 'unauthorized', message: 'Missing or invalid bearer token' } },
+      { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } }
+    );
+  }
+  return null;
+}
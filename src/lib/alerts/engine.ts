@@ -0,0 +1,57 @@
+﻿import { randomUUID } from 'node:crypto';
+import { normalizeUrl } from '../news/dedupe';
+import type { NewsItem } from '../news/types';
+import { matchesRule } from './rules';
+import { getAlertStore } from './store';
+import type { AlertRule, DeliveryRecord } from './types';
+import { deliverWebhook, type DeliverOptions } from './webhook';
+
+export function alertPayload(rule: AlertRule, item: NewsItem, deliveryId: string, test = false) {
+  return {
+    type: test ? 'alert.test' : 'alert.matched',
+    delivery_id: deliveryId,
+    rule: { id: rule.id, name: rule.name },
+    item,
+    sent_at: new Date().toISOString()
+  };
+}
+
+export async function dispatchAlert(
+  rule: AlertRule,
+  item: NewsItem,
+  { test = false, ...options }: DeliverOptions & { test?: boolean } = {}
+): Promise<DeliveryRecord> {
+  const store = getAlertStore();
+  const record: DeliveryRecord = {
+    id: randomUUID(),
+    rule_id: rule.id,
+    item_id: item.id,
+    url: rule.webhook_url,
+    status: 'pending',
+    attempts: [],
+    created_at: new Date().toISOString(),
+    completed_at: null,
+    ...(test ? { test } : {})
+  };
+
+  await store.startDelivery(record);
+  await deliverWebhook(rule.webhook_url, rule.secret, alertPayload(rule, item, record.id, test), record, options);
+  await store.finishDelivery(record);
+  return record;
+}
+
+/**
+ * Matches ingested items against every enabled rule and sends one webhook per
+ * match. Items the alert store has already claimed are skipped, so each story
+ * is evaluated once even across restarts.
+ */
+export async function evaluateAlerts(items: NewsItem[], options: DeliverOptions = {}): Promise<DeliveryRecord[]> {
+  const store = getAlertStore();
+  const claimed = new Set(await store.claimNew(items.map((item) => normalizeUrl(item.url))));
+  if (!claimed.size) return [];
+  const fresh = items.filter((item) => claimed.has(normalizeUrl(item.url)));
+
+  const rules = (await store.listRules()).filter((rule) => rule.enabled);
+  const matches = rules.flatMap((rule) => fresh.filter((item) => matchesRule(rule, item)).map((item) => ({ rule, item })));
+  return Promise.all(matches.map(({ rule, item }) => dispatchAlert(rule, item, options)));
+}
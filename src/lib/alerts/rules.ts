@@ -0,0 +1,151 @@
+﻿import { randomBytes, randomUUID } from 'node:crypto';
+import { normalizeSymbol } from '../news/symbols';
+import { escapeRegExp } from '../util';
+import type { NewsItem, SentimentLabel } from '../news/types';
+import type { QueryParamError } from '../news/query';
+import { isPrivateHost, privateWebhooksAllowed } from './targets';
+import type { AlertConditions, AlertRule } from './types';
+
+const LABELS: SentimentLabel[] = ['positive', 'negative', 'neutral'];
+const MAX_TERMS = 50;
+
+export type RuleParseResult = { ok: true; rule: AlertRule } | { ok: false; errors: QueryParamError[] };
+
+function stringList(value: unknown, field: string, errors: QueryParamError[]): string[] | undefined {
+  if (value === undefined || value === null) return undefined;
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || !list.every((v) => typeof v === 'string')) {
+    errors.push({ param: field, message: 'Must be an array of strings' });
+    return undefined;
+  }
+  const cleaned = Array.from(new Set(list.map((v) => v.trim()).filter(Boolean)));
+  if (cleaned.length > MAX_TERMS) errors.push({ param: field, message: `At most ${MAX_TERMS} entries are allowed` });
+  return cleaned.length ? cleaned : undefined;
+}
+
+function sentimentBound(value: unknown, field: string, errors: QueryParamError[]): number | undefined {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < -1 || value > 1) {
+    errors.push({ param: field, message: 'Must be a number between -1 and 1' });
+    return undefined;
+  }
+  return value;
+}
+
+function webhookUrlError(value: unknown): string | null {
+  let url: URL;
+  try {
+    url = new URL(typeof value === 'string' ? value : '');
+  } catch {
+    return 'Must be an http(s) URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'Must be an http(s) URL';
+  if (!privateWebhooksAllowed() && isPrivateHost(url)) return 'Private, loopback and link-local hosts are not allowed';
+  return null;
+}
+
+/**
+ * Validates a create (no `existing`) or update payload. Updates only replace
+ * the fields present in the input; pass null to clear a condition.
+ */
+export function parseRuleInput(input: unknown, existing?: AlertRule): RuleParseResult {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { ok: false, errors: [{ param: 'body', message: 'Must be a JSON object' }] };
+  }
+  const body = input as Record<string, unknown>;
+  const has = (key: string) => Object.prototype.hasOwnProperty.call(body, key);
+  const errors: QueryParamError[] = [];
+
+  const name = has('name') ? body.name : existing?.name;
+  if (typeof name !== 'string' || !name.trim()) errors.push({ param: 'name', message: 'Required' });
+
+  const webhookUrl = has('webhook_url') ? body.webhook_url : existing?.webhook_url;
+  const urlError = webhookUrlError(webhookUrl);
+  if (urlError) errors.push({ param: 'webhook_url', message: urlError });
+
+  const enabled = has('enabled') ? body.enabled : existing?.enabled ?? true;
+  if (typeof enabled !== 'boolean') errors.push({ param: 'enabled', message: 'Must be a boolean' });
+
+  const secret = has('secret') ? body.secret : existing?.secret ?? randomBytes(24).toString('hex');
+  if (typeof secret !== 'string' || secret.length < 16) {
+    errors.push({ param: 'secret', message: 'Must be a string of at least 16 characters' });
+  }
+
+  const pick = <K extends keyof AlertConditions>(key: K, parse: (value: unknown) => AlertConditions[K]) =>
+    has(key) ? parse(body[key]) : existing?.[key];
+
+  const conditions: AlertConditions = {
+    symbols: pick('symbols', (v) => {
+      const list = stringList(v, 'symbols', errors);
+      const bad = list?.filter((s) => !normalizeSymbol(s)) ?? [];
+      if (bad.length) errors.push({ param: 'symbols', message: `Invalid symbol(s): ${bad.join(', ')}` });
+      return list?.map(normalizeSymbol).filter(Boolean);
+    }),
+    keywords: pick('keywords', (v) => stringList(v, 'keywords', errors)),
+    headline_keywords: pick('headline_keywords', (v) => stringList(v, 'headline_keywords', errors)),
+    sentiment: pick('sentiment', (v) => {
+      if (v === undefined || v === null) return undefined;
+      if (!LABELS.includes(v as SentimentLabel)) {
+        errors.push({ param: 'sentiment', message: `Must be one of: ${LABELS.join(', ')}` });
+        return undefined;
+      }
+      return v as SentimentLabel;
+    }),
+    min_sentiment: pick('min_sentiment', (v) => sentimentBound(v, 'min_sentiment', errors)),
+    max_sentiment: pick('max_sentiment', (v) => sentimentBound(v, 'max_sentiment', errors))
+  };
+
+  if (Object.values(conditions).every((v) => v === undefined)) {
+    errors.push({ param: 'conditions', message: 'At least one of symbols, keywords, headline_keywords or sentiment is required' });
+  }
+  if (
+    conditions.min_sentiment !== undefined &&
+    conditions.max_sentiment !== undefined &&
+    conditions.min_sentiment > conditions.max_sentiment
+  ) {
+    errors.push({ param: 'min_sentiment', message: 'Must not be greater than max_sentiment' });
+  }
+
+  if (errors.length) return { ok: false, errors };
+
+  const now = new Date().toISOString();
+  const rule: AlertRule = {
+    id: existing?.id ?? randomUUID(),
+    name: (name as string).trim(),
+    enabled: enabled as boolean,
+    webhook_url: webhookUrl as string,
+    secret: secret as string,
+    created_at: existing?.created_at ?? now,
+    updated_at: now
+  };
+  for (const [key, value] of Object.entries(conditions)) {
+    if (value !== undefined) Object.assign(rule, { [key]: value });
+  }
+  return { ok: true, rule };
+}
+
+function containsPhrase(text: string, phrases: string[]): boolean {
+  return phrases.some((phrase) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}])`, 'iu').test(text)
+  );
+}
+
+/** Every condition set on the rule must hold; list conditions match on any entry. */
+export function matchesRule(rule: AlertRule, item: NewsItem): boolean {
+  if (!rule.enabled) return false;
+  if (rule.symbols && !rule.symbols.some((s) => item.symbols.includes(s))) return false;
+  if (rule.keywords && !containsPhrase(`${item.title}\n${item.summary}`, rule.keywords)) return false;
+  if (rule.headline_keywords && !containsPhrase(item.title, rule.headline_keywords)) return false;
+
+  const score = item.sentiment?.score ?? 0;
+  if (rule.sentiment && (item.sentiment?.label ?? 'neutral') !== rule.sentiment) return false;
+  if (rule.min_sentiment !== undefined && score < rule.min_sentiment) return false;
+  if (rule.max_sentiment !== undefined && score > rule.max_sentiment) return false;
+  return true;
+}
+
+/** The rule as returned by the API: the signing secret is only shown on create. */
+export function publicRule(rule: AlertRule, { withSecret = false } = {}) {
+  const { secret, ...rest } = rule;
+  return withSecret ? rule : { ...rest, secret: `${secret.slice(0, 4)}…` };
+}
@@ -0,0 +1,206 @@
+﻿import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { processSingleton, WriteQueue } from '../util';
+import type { RuleParseResult } from './rules';
+import type { AlertRule, DeliveryRecord } from './types';
+
+const LOG_LIMIT = 1000;
+const SEEN_LIMIT = 5000;
+
+/**
+ * Rules live in a single JSON file rewritten on every change; finished
+ * deliveries are appended to an NDJSON log, with the most recent kept in
+ * memory for /api/alerts/log. The keys of items already evaluated are kept in
+ * seen.json so a restart doesn't alert on them again.
+ */
+export class AlertStore {
+  private rules: Promise<Map<string, AlertRule>> | null = null;
+  private log: Promise<DeliveryRecord[]> | null = null;
+  private seen: Set<string> | null = null;
+  private writes = new WriteQueue();
+
+  constructor(private dir: string) {}
+
+  private get rulesFile(): string {
+    return path.join(this.dir, 'rules.json');
+  }
+
+  private get logFile(): string {
+    return path.join(this.dir, 'deliveries.ndjson');
+  }
+
+  private get seenFile(): string {
+    return path.join(this.dir, 'seen.json');
+  }
+
+  private async readOptional(file: string): Promise<string> {
+    try {
+      return await readFile(file, 'utf8');
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') return '';
+      throw err;
+    }
+  }
+
+  // A failed read or parse isn't cached, so fixing rules.json takes effect without a restart.
+  private loadRules(): Promise<Map<string, AlertRule>> {
+    this.rules ??= this.readOptional(this.rulesFile)
+      .then((text) => {
+        const list = text ? (JSON.parse(text) as AlertRule[]) : [];
+        return new Map(list.map((rule) => [rule.id, rule]));
+      })
+      .catch((err) => {
+        this.rules = null;
+        throw err;
+      });
+    return this.rules;
+  }
+
+  private loadLog(): Promise<DeliveryRecord[]> {
+    this.log ??= this.readOptional(this.logFile)
+      .then((text) => {
+        const records: DeliveryRecord[] = [];
+        for (const line of text.split('\n').slice(-LOG_LIMIT - 1)) {
+          if (!line) continue;
+          try {
+            records.push(JSON.parse(line) as DeliveryRecord);
+          } catch {
+            // torn write; skip
+          }
+        }
+        return records;
+      })
+      .catch((err) => {
+        this.log = null;
+        throw err;
+      });
+    return this.log;
+  }
+
+  // Null when there is no usable seen.json yet.
+  private async loadSeen(): Promise<Set<string> | null> {
+    try {
+      const text = await this.readOptional(this.seenFile);
+      return text ? new Set(JSON.parse(text) as string[]) : null;
+    } catch (err) {
+      console.error('[alerts] ignoring unreadable seen.json', err);
+      return null;
+    }
+  }
+
+  private async writeJson(file: string, value: unknown): Promise<void> {
+    await mkdir(this.dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
+    await rename(tmp, file);
+  }
+
+  private saveRules(rules: Map<string, AlertRule>): Promise<void> {
+    return this.writeJson(this.rulesFile, Array.from(rules.values()));
+  }
+
+  async listRules(): Promise<AlertRule[]> {
+    return Array.from((await this.loadRules()).values());
+  }
+
+  async getRule(id: string): Promise<AlertRule | undefined> {
+    return (await this.loadRules()).get(id);
+  }
+
+  saveRule(rule: AlertRule): Promise<AlertRule> {
+    return this.writes.run(async () => {
+      const rules = await this.loadRules();
+      rules.set(rule.id, rule);
+      await this.saveRules(rules);
+      return rule;
+    });
+  }
+
+  /**
+   * Reads, changes and saves a rule in one step of the write queue, so two
+   * concurrent updates can't overwrite each other. Nothing is saved when
+   * `update` fails; resolves to null when there is no rule with that id.
+   */
+  updateRule(
+    id: string,
+    update: (existing: AlertRule) => RuleParseResult
+  ): Promise<{ previous: AlertRule; result: RuleParseResult } | null> {
+    return this.writes.run(async () => {
+      const rules = await this.loadRules();
+      const previous = rules.get(id);
+      if (!previous) return null;
+      const result = update(previous);
+      if (result.ok) {
+        rules.set(id, result.rule);
+        await this.saveRules(rules);
+      }
+      return { previous, result };
+    });
+  }
+
+  deleteRule(id: string): Promise<boolean> {
+    return this.writes.run(async () => {
+      const rules = await this.loadRules();
+      if (!rules.delete(id)) return false;
+      await this.saveRules(rules);
+      return true;
+    });
+  }
+
+  /**
+   * Returns the keys that haven't been claimed before and remembers them. With
+   * no seen.json yet (first start) everything is remembered and nothing
+   * returned, so news already out when alerting starts doesn't fire. A failed
+   * save is logged; the in-memory set still prevents repeats until restart.
+   */
+  claimNew(keys: string[]): Promise<string[]> {
+    return this.writes.run(async () => {
+      let baseline = false;
+      if (!this.seen) {
+        const loaded = await this.loadSeen();
+        baseline = !loaded;
+        this.seen = loaded ?? new Set();
+      }
+      const seen = this.seen;
+      const fresh = Array.from(new Set(keys.filter((key) => !seen.has(key))));
+      if (!fresh.length && !baseline) return [];
+
+      for (const key of fresh) seen.add(key);
+      for (const key of seen) {
+        if (seen.size <= SEEN_LIMIT) break;
+        seen.delete(key);
+      }
+      try {
+        await this.writeJson(this.seenFile, Array.from(seen));
+      } catch (err) {
+        console.error('[alerts] could not save seen.json', err);
+      }
+      return baseline ? [] : fresh;
+    });
+  }
+
+  /** Tracks a delivery in memory; call finishDelivery once it succeeds or gives up. */
+  async startDelivery(record: DeliveryRecord): Promise<void> {
+    const log = await this.loadLog();
+    log.push(record);
+    if (log.length > LOG_LIMIT) log.splice(0, log.length - LOG_LIMIT);
+  }
+
+  finishDelivery(record: DeliveryRecord): Promise<void> {
+    return this.writes.run(async () => {
+      await mkdir(this.dir, { recursive: true });
+      await appendFile(this.logFile, `${JSON.stringify(record)}\n`, 'utf8');
+    });
+  }
+
+  async listDeliveries(): Promise<DeliveryRecord[]> {
+    return [...(await this.loadLog())].reverse();
+  }
+}
+
+export function getAlertStore(): AlertStore {
+  return processSingleton(
+    '__alertStore',
+    () => new AlertStore(process.env.ALERTS_DIR || path.join(process.cwd(), '.data', 'alerts'))
+  );
+}
@@ -0,0 +1,62 @@
+﻿import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges.
+const PRIVATE = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+] as const) {
+  PRIVATE.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+] as const) {
+  PRIVATE.addSubnet(network, prefix, 'ipv6');
+}
+
+const LOCAL_HOSTNAME = /(?:^|\.)(?:localhost|local|internal)$/i;
+
+/** Local receivers are only allowed when ALERTS_ALLOW_PRIVATE_WEBHOOKS is set, e.g. for development. */
+export function privateWebhooksAllowed(): boolean {
+  return ['1', 'true'].includes(process.env.ALERTS_ALLOW_PRIVATE_WEBHOOKS ?? '');
+}
+
+export function isPrivateAddress(address: string): boolean {
+  const family = isIP(address);
+  return family !== 0 && PRIVATE.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function bareHostname(url: URL): string {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/** Rejects hosts that are private on their face (IP literals, localhost); names are checked again at delivery. */
+export function isPrivateHost(url: URL): boolean {
+  const host = bareHostname(url);
+  return LOCAL_HOSTNAME.test(host) || isPrivateAddress(host);
+}
+
+/** Resolves the webhook host and throws if any address it maps to is private. */
+export async function assertPublicTarget(rawUrl: string): Promise<void> {
+  const url = new URL(rawUrl);
+  if (isPrivateHost(url)) throw new Error('Webhook target is a private or loopback address');
+  const host = bareHostname(url);
+  if (isIP(host)) return;
+  const addresses = await lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Webhook target resolves to a private or loopback address');
+  }
+}
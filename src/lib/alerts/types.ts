@@ -0,0 +1,44 @@
+﻿import type { SentimentLabel } from '../news/types';
+
+export type AlertConditions = {
+  /** Any of these symbols. */
+  symbols?: string[];
+  /** Any of these words or phrases in the title or summary. */
+  keywords?: string[];
+  /** Any of these words or phrases in the title. */
+  headline_keywords?: string[];
+  sentiment?: SentimentLabel;
+  min_sentiment?: number;
+  max_sentiment?: number;
+};
+
+export type AlertRule = AlertConditions & {
+  id: string;
+  name: string;
+  enabled: boolean;
+  webhook_url: string;
+  /** HMAC-SHA256 key for the X-Alert-Signature header. */
+  secret: string;
+  created_at: string;
+  updated_at: string;
+};
+
+export type DeliveryAttempt = {
+  at: string;
+  status?: number;
+  error?: string;
+};
+
+export type DeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+export type DeliveryRecord = {
+  id: string;
+  rule_id: string;
+  item_id: string;
+  url: string;
+  status: DeliveryStatus;
+  attempts: DeliveryAttempt[];
+  created_at: string;
+  completed_at: string | null;
+  test?: boolean;
+};
@@ -0,0 +1,133 @@
+﻿import { createHmac, timingSafeEqual } from 'node:crypto';
+import type { FetchLike } from '../news/types';
+import { assertPublicTarget, privateWebhooksAllowed } from './targets';
+import type { DeliveryRecord } from './types';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 10_000;
+const MAX_RETRY_AFTER_MS = 60_000;
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+export type DeliverOptions = {
+  fetch?: FetchLike;
+  sleep?: (ms: number) => Promise<void>;
+  maxAttempts?: number;
+  baseDelayMs?: number;
+  timeoutMs?: number;
+  /** Defaults to ALERTS_ALLOW_PRIVATE_WEBHOOKS. */
+  allowPrivateTargets?: boolean;
+};
+
+export function signPayload(secret: string, timestamp: number, body: string): string {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Value for X-Alert-Signature: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`. */
+export function signatureHeader(secret: string, body: string, timestamp = Math.floor(Date.now() / 1000)): string {
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+/** Receiver-side check of an X-Alert-Signature header, rejecting stale timestamps. */
+export function verifySignature(
+  secret: string,
+  header: string,
+  body: string,
+  now = Math.floor(Date.now() / 1000)
+): boolean {
+  const parts = Object.fromEntries(header.split(',').map((p) => p.trim().split('=') as [string, string]));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SEC) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function isRetryable(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function retryAfterMs(res: Response): number | null {
+  const value = res.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : null;
+}
+
+const sleep = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+/**
+ * POSTs the signed payload, retrying network errors, 408/429 and 5xx with
+ * exponential backoff (honoring Retry-After). Attempts are recorded on
+ * `record`, which is returned with its final status. Targets that resolve to
+ * private addresses fail without a request, and redirects aren't followed,
+ * so a rule can't be pointed at internal services.
+ */
+export async function deliverWebhook(
+  url: string,
+  secret: string,
+  payload: unknown,
+  record: DeliveryRecord,
+  options: DeliverOptions = {}
+): Promise<DeliveryRecord> {
+  const fetchImpl = options.fetch ?? fetch;
+  const wait = options.sleep ?? sleep;
+  const maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+  const body = JSON.stringify(payload);
+
+  if (!(options.allowPrivateTargets ?? privateWebhooksAllowed())) {
+    try {
+      await assertPublicTarget(url);
+    } catch (err) {
+      record.attempts.push({ at: new Date().toISOString(), error: err instanceof Error ? err.message : String(err) });
+      record.status = 'failed';
+      record.completed_at = new Date().toISOString();
+      return record;
+    }
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const at = new Date().toISOString();
+    let delay = baseDelayMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4);
+
+    try {
+      const res = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'financial-news-dashboard-alerts',
+          'X-Alert-Id': record.rule_id,
+          'X-Alert-Delivery': record.id,
+          'X-Alert-Signature': signatureHeader(secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(options.timeoutMs ?? DEFAULT_TIMEOUT_MS)
+      });
+      record.attempts.push({ at, status: res.status });
+
+      if (res.ok) {
+        record.status = 'delivered';
+        break;
+      }
+      if (!isRetryable(res.status)) {
+        record.status = 'failed';
+        break;
+      }
+      delay = retryAfterMs(res) ?? delay;
+    } catch (err) {
+      record.attempts.push({ at, error: err instanceof Error ? err.message : String(err) });
+    }
+
+    if (attempt === maxAttempts) {
+      record.status = 'failed';
+    } else {
+      await wait(delay);
+    }
+  }
+
+  record.completed_at = new Date().toISOString();
+  return record;
+}
@@ -0,0 +1,59 @@
+﻿import type { NewsItem, NewsProvider, ProviderErrorInfo, ProviderFetchResult, ProviderQuery } from './types';
+import { ProviderError } from './http';
+
+export type AggregateResult = {
+  items: NewsItem[];
+  counts: Record<string, number>;
+  errors: ProviderErrorInfo[];
+  stale: string[];
+  rateLimited: string[];
+};
+
+export type ProviderFetcher = (provider: NewsProvider, query: ProviderQuery) => Promise<ProviderFetchResult>;
+
+const fetchDirect: ProviderFetcher = async (provider, query) => ({ items: await provider.fetchNews(query), stale: false });
+
+function compareStrings(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/** Newest first, ties broken by id so the order is stable for cursor paging. */
+export function sortByPublished(items: NewsItem[]): NewsItem[] {
+  return items.sort((a, b) => compareStrings(b.published_at, a.published_at) || compareStrings(a.id, b.id));
+}
+
+export function toErrorInfo(provider: string, err: unknown): ProviderErrorInfo {
+  if (err instanceof ProviderError) {
+    return { provider, message: err.message, ...(err.status ? { status: err.status } : {}) };
+  }
+  return { provider, message: err instanceof Error ? err.message : String(err) };
+}
+
+export async function aggregateNews(
+  providers: NewsProvider[],
+  query: ProviderQuery = {},
+  fetcher: ProviderFetcher = fetchDirect
+): Promise<AggregateResult> {
+  const settled = await Promise.allSettled(providers.map((p) => fetcher(p, query)));
+
+  const items: NewsItem[] = [];
+  const counts: Record<string, number> = {};
+  const errors: ProviderErrorInfo[] = [];
+  const stale: string[] = [];
+  const rateLimited: string[] = [];
+
+  settled.forEach((result, i) => {
+    const { id } = providers[i];
+    if (result.status === 'fulfilled') {
+      counts[id] = result.value.items.length;
+      items.push(...result.value.items);
+      if (result.value.stale) stale.push(id);
+      if (result.value.rateLimited) rateLimited.push(id);
+    } else {
+      counts[id] = 0;
+      errors.push(toErrorInfo(id, result.reason));
+    }
+  });
+
+  return { items: sortByPublished(items), counts, errors, stale, rateLimited };
+}
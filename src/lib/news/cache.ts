@@ -0,0 +1,43 @@
+﻿export type CacheEntry<T> = {
+  value: T;
+  storedAt: number;
+  expiresAt: number;
+};
+
+export type CacheLookup<T> = CacheEntry<T> & { fresh: boolean };
+
+/**
+ * Small in-process LRU. Entries past their TTL are still returned (flagged as
+ * not fresh) until maxStaleMs so callers can serve stale data.
+ */
+export class TtlCache<T> {
+  private entries = new Map<string, CacheEntry<T>>();
+
+  constructor(private maxEntries = 500, private maxStaleMs = 24 * 3_600_000) {}
+
+  get(key: string, now = Date.now()): CacheLookup<T> | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (now - entry.expiresAt > this.maxStaleMs) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { ...entry, fresh: now < entry.expiresAt };
+  }
+
+  set(key: string, value: T, ttlMs: number, now = Date.now()): void {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      if (oldest === undefined) break;
+      this.entries.delete(oldest);
+    }
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,83 @@
+﻿export type CompanyRecord = {
+  symbol: string;
+  name: string;
+  /** Other ways the company is referred to in headlines. Matched case-sensitively on word boundaries. */
+  aliases?: string[];
+  /**
+   * Names that are also everyday words or people ("Apple", "Ford", "Amazon").
+   * Only matched when followed by a market term such as "shares" or "earnings".
+   */
+  contextAliases?: string[];
+  /** Tickers the company traded under before a rename. */
+  formerSymbols?: string[];
+};
+
+// Large, frequently covered US listings. Plain aliases are names that only
+// ever mean the company; single words with another common meaning go in
+// contextAliases, and some ("Target", "Visa", "Block") are left out entirely.
+export const COMPANIES: CompanyRecord[] = [
+  { symbol: 'AAPL', name: 'Apple Inc.', contextAliases: ['Apple'] },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', aliases: ['Microsoft'] },
+  { symbol: 'GOOGL', name: 'Alphabet Inc. Class A', aliases: ['Alphabet Class A', 'Google'], contextAliases: ['Alphabet'] },
+  { symbol: 'GOOG', name: 'Alphabet Inc. Class C', aliases: ['Alphabet Class C'] },
+  { symbol: 'AMZN', name: 'Amazon.com Inc.', aliases: ['Amazon.com'], contextAliases: ['Amazon'] },
+  { symbol: 'META', name: 'Meta Platforms Inc.', aliases: ['Meta Platforms', 'Facebook'], contextAliases: ['Meta'], formerSymbols: ['FB'] },
+  { symbol: 'NVDA', name: 'NVIDIA Corporation', aliases: ['Nvidia', 'NVIDIA'] },
+  { symbol: 'TSLA', name: 'Tesla Inc.', aliases: ['Tesla'] },
+  { symbol: 'BRK.A', name: 'Berkshire Hathaway Inc. Class A', aliases: ['Berkshire Hathaway Class A'] },
+  { symbol: 'BRK.B', name: 'Berkshire Hathaway Inc. Class B', aliases: ['Berkshire Hathaway Class B', 'Berkshire Hathaway'], contextAliases: ['Berkshire'] },
+  { symbol: 'JPM', name: 'JPMorgan Chase & Co.', aliases: ['JPMorgan Chase', 'JPMorgan', 'JP Morgan'] },
+  { symbol: 'V', name: 'Visa Inc.', aliases: ['Visa Inc'] },
+  { symbol: 'MA', name: 'Mastercard Incorporated', aliases: ['Mastercard'] },
+  { symbol: 'JNJ', name: 'Johnson & Johnson', aliases: ['Johnson & Johnson', 'J&J'] },
+  { symbol: 'WMT', name: 'Walmart Inc.', aliases: ['Walmart'] },
+  { symbol: 'PG', name: 'Procter & Gamble Company', aliases: ['Procter & Gamble', 'P&G'] },
+  { symbol: 'XOM', name: 'Exxon Mobil Corporation', aliases: ['Exxon Mobil', 'ExxonMobil', 'Exxon'] },
+  { symbol: 'CVX', name: 'Chevron Corporation', contextAliases: ['Chevron'] },
+  { symbol: 'UNH', name: 'UnitedHealth Group Incorporated', aliases: ['UnitedHealth'] },
+  { symbol: 'HD', name: 'The Home Depot Inc.', aliases: ['Home Depot'] },
+  { symbol: 'BAC', name: 'Bank of America Corporation', aliases: ['Bank of America', 'BofA'] },
+  { symbol: 'WFC', name: 'Wells Fargo & Company', aliases: ['Wells Fargo'] },
+  { symbol: 'GS', name: 'The Goldman Sachs Group Inc.', aliases: ['Goldman Sachs'], contextAliases: ['Goldman'] },
+  { symbol: 'MS', name: 'Morgan Stanley', aliases: ['Morgan Stanley'] },
+  { symbol: 'C', name: 'Citigroup Inc.', aliases: ['Citigroup'], contextAliases: ['Citi'] },
+  { symbol: 'KO', name: 'The Coca-Cola Company', aliases: ['Coca-Cola'], contextAliases: ['Coke'] },
+  { symbol: 'PEP', name: 'PepsiCo Inc.', aliases: ['PepsiCo', 'Pepsi'] },
+  { symbol: 'DIS', name: 'The Walt Disney Company', aliases: ['Walt Disney', 'Disney'] },
+  { symbol: 'NFLX', name: 'Netflix Inc.', aliases: ['Netflix'] },
+  { symbol: 'ADBE', name: 'Adobe Inc.', aliases: ['Adobe'] },
+  { symbol: 'CRM', name: 'Salesforce Inc.', aliases: ['Salesforce'] },
+  { symbol: 'ORCL', name: 'Oracle Corporation', contextAliases: ['Oracle'] },
+  { symbol: 'INTC', name: 'Intel Corporation', aliases: ['Intel'] },
+  { symbol: 'AMD', name: 'Advanced Micro Devices Inc.', aliases: ['Advanced Micro Devices'] },
+  { symbol: 'AVGO', name: 'Broadcom Inc.', aliases: ['Broadcom'] },
+  { symbol: 'QCOM', name: 'QUALCOMM Incorporated', aliases: ['Qualcomm'] },
+  { symbol: 'CSCO', name: 'Cisco Systems Inc.', aliases: ['Cisco'] },
+  { symbol: 'IBM', name: 'International Business Machines Corporation', aliases: ['International Business Machines'] },
+  { symbol: 'TSM', name: 'Taiwan Semiconductor Manufacturing Company', aliases: ['Taiwan Semiconductor', 'TSMC'] },
+  { symbol: 'ASML', name: 'ASML Holding N.V.' },
+  { symbol: 'PFE', name: 'Pfizer Inc.', aliases: ['Pfizer'] },
+  { symbol: 'MRK', name: 'Merck & Co. Inc.', aliases: ['Merck'] },
+  { symbol: 'LLY', name: 'Eli Lilly and Company', aliases: ['Eli Lilly'], contextAliases: ['Lilly'] },
+  { symbol: 'ABBV', name: 'AbbVie Inc.', aliases: ['AbbVie'] },
+  { symbol: 'NKE', name: 'NIKE Inc.', aliases: ['Nike'] },
+  { symbol: 'MCD', name: "McDonald's Corporation", aliases: ["McDonald's", 'McDonalds'] },
+  { symbol: 'SBUX', name: 'Starbucks Corporation', aliases: ['Starbucks'] },
+  { symbol: 'COST', name: 'Costco Wholesale Corporation', aliases: ['Costco'] },
+  { symbol: 'TGT', name: 'Target Corporation', aliases: ['Target Corp'] },
+  { symbol: 'BA', name: 'The Boeing Company', aliases: ['Boeing'] },
+  { symbol: 'CAT', name: 'Caterpillar Inc.', contextAliases: ['Caterpillar'] },
+  { symbol: 'GE', name: 'GE Aerospace', aliases: ['General Electric', 'GE Aerospace'] },
+  { symbol: 'F', name: 'Ford Motor Company', aliases: ['Ford Motor'], contextAliases: ['Ford'] },
+  { symbol: 'GM', name: 'General Motors Company', aliases: ['General Motors'] },
+  { symbol: 'UBER', name: 'Uber Technologies Inc.', aliases: ['Uber'] },
+  { symbol: 'PYPL', name: 'PayPal Holdings Inc.', aliases: ['PayPal'] },
+  { symbol: 'XYZ', name: 'Block Inc.', aliases: ['Block Inc'], formerSymbols: ['SQ'] },
+  { symbol: 'SHOP', name: 'Shopify Inc.', aliases: ['Shopify'] },
+  { symbol: 'COIN', name: 'Coinbase Global Inc.', aliases: ['Coinbase'] },
+  { symbol: 'PLTR', name: 'Palantir Technologies Inc.', aliases: ['Palantir'] },
+  { symbol: 'T', name: 'AT&T Inc.', aliases: ['AT&T'] },
+  { symbol: 'VZ', name: 'Verizon Communications Inc.', aliases: ['Verizon'] },
+  { symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust' },
+  { symbol: 'QQQ', name: 'Invesco QQQ Trust' }
+];
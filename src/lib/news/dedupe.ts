@@ -0,0 +1,142 @@
+﻿import type { NewsItem, NewsSource, SymbolOrigin } from './types';
+import { uniqueSymbols } from './http';
+
+// Only params that never identify content; ids like cid or ref can select the article itself.
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|guccounter|guce_\w+)$/i;
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+const CLUSTER_WINDOW_MS = 36 * 3_600_000;
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'as', 'at', 'by', 'with', 'is', 'its', 'it', 's']);
+
+/** Drops tracking params and the fragment, keeping the URL otherwise intact. */
+export function stripTrackingParams(raw: string): string {
+  let url: URL;
+  try {
+    url = new URL(raw.trim());
+  } catch {
+    return raw.trim();
+  }
+  for (const key of Array.from(url.searchParams.keys())) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  url.hash = '';
+  return url.toString();
+}
+
+/** Comparison key for a URL: no scheme, www/amp variants folded, params sorted. */
+export function normalizeUrl(raw: string): string {
+  let url: URL;
+  try {
+    url = new URL(stripTrackingParams(raw));
+  } catch {
+    return raw.trim().toLowerCase();
+  }
+
+  url.searchParams.sort();
+  const query = url.searchParams.toString();
+  const host = url.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+  const path = url.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '') || '/';
+
+  return `${host}${path}${query ? `?${query}` : ''}`;
+}
+
+function titleTokens(title: string): Set<string> {
+  const words = title
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9$%.\s]/g, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !STOPWORDS.has(w));
+  return new Set(words);
+}
+
+/** Dice coefficient over title word sets, 0..1. */
+export function titleSimilarity(a: string, b: string): number {
+  const ta = titleTokens(a);
+  const tb = titleTokens(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const word of ta) if (tb.has(word)) shared++;
+  return (2 * shared) / (ta.size + tb.size);
+}
+
+type Cluster = {
+  items: NewsItem[];
+  time: number;
+};
+
+function toSource(item: NewsItem): NewsSource {
+  return { provider: item.provider, source: item.source, id: item.id, url: stripTrackingParams(item.url) };
+}
+
+// Prefer the earliest report and, for ties, the one with the most summary text.
+function pickCanonical(items: NewsItem[]): NewsItem {
+  return items.reduce((best, item) => {
+    const diff = item.published_at.localeCompare(best.published_at);
+    if (diff < 0) return item;
+    if (diff === 0 && item.summary.length > best.summary.length) return item;
+    return best;
+  });
+}
+
+function mergeCluster(cluster: Cluster): NewsItem {
+  const canonical = pickCanonical(cluster.items);
+  const sources = new Map<string, NewsSource>();
+  const origins: Record<string, SymbolOrigin> = {};
+  for (const item of cluster.items) {
+    for (const source of item.sources ?? [toSource(item)]) sources.set(source.id, source);
+    for (const [symbol, origin] of Object.entries(item.symbol_origins ?? {})) {
+      if (origins[symbol] !== 'provider') origins[symbol] = origin;
+    }
+  }
+  return {
+    ...canonical,
+    url: stripTrackingParams(canonical.url),
+    summary: cluster.items.reduce((s, i) => (i.summary.length > s.length ? i.summary : s), canonical.summary),
+    symbols: uniqueSymbols(cluster.items.flatMap((i) => i.symbols)),
+    sources: Array.from(sources.values()),
+    ...(Object.keys(origins).length ? { symbol_origins: origins } : {})
+  };
+}
+
+export type DedupeResult = {
+  items: NewsItem[];
+  deduplicated: number;
+};
+
+/**
+ * Collapses items that point at the same story: identical URLs once tracking
+ * params are stripped, or near-identical titles published close together.
+ */
+export function dedupeNews(items: NewsItem[]): DedupeResult {
+  const clusters: Cluster[] = [];
+  const byUrl = new Map<string, Cluster>();
+
+  for (const item of items) {
+    const url = normalizeUrl(item.url);
+    const time = Date.parse(item.published_at);
+
+    let cluster = byUrl.get(url);
+    if (!cluster) {
+      cluster = clusters.find(
+        (c) =>
+          Math.abs(c.time - time) <= CLUSTER_WINDOW_MS &&
+          c.items.some((other) => titleSimilarity(other.title, item.title) >= TITLE_SIMILARITY_THRESHOLD)
+      );
+    }
+
+    if (cluster) {
+      cluster.items.push(item);
+    } else {
+      cluster = { items: [item], time };
+      clusters.push(cluster);
+    }
+    byUrl.set(url, cluster);
+  }
+
+  return {
+    items: clusters.map(mergeCluster),
+    deduplicated: items.length - clusters.length
+  };
+}
@@ -0,0 +1,153 @@
+﻿import type { NewsItem } from './types';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'rss', 'atom'] as const;
+
+export type ExportFormat = (typeof EXPORT_FORMATS)[number];
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+export type FeedInfo = {
+  title: string;
+  link: string;
+  selfLink: string;
+  updatedAt: string;
+};
+
+const CSV_COLUMNS = [
+  'id',
+  'published_at',
+  'title',
+  'summary',
+  'url',
+  'source',
+  'provider',
+  'symbols',
+  'sentiment_score',
+  'sentiment_label',
+  'sources'
+] as const;
+
+function csvCell(value: string | number | undefined): string {
+  let text = value === undefined ? '' : String(value);
+  // Spreadsheet apps evaluate text cells starting with these as formulas.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(items: NewsItem[]): string {
+  const rows = items.map((item) =>
+    [
+      item.id,
+      item.published_at,
+      item.title,
+      item.summary,
+      item.url,
+      item.source,
+      item.provider,
+      item.symbols.join(' '),
+      item.sentiment?.score,
+      item.sentiment?.label,
+      (item.sources ?? []).map((s) => `${s.provider}:${s.source}`).join(' ')
+    ]
+      .map(csvCell)
+      .join(',')
+  );
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+export function toNdjson(items: NewsItem[]): string {
+  return items.map((item) => `${JSON.stringify(item)}\n`).join('');
+}
+
+function xml(value: string): string {
+  return value
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export function toRss(items: NewsItem[], feed: FeedInfo): string {
+  const entries = items.map((item) =>
+    [
+      '    <item>',
+      `      <title>${xml(item.title)}</title>`,
+      `      <link>${xml(item.url)}</link>`,
+      `      <guid isPermaLink="false">${xml(item.id)}</guid>`,
+      `      <pubDate>${new Date(item.published_at).toUTCString()}</pubDate>`,
+      item.summary ? `      <description>${xml(item.summary)}</description>` : '',
+      `      <source url="${xml(item.url)}">${xml(item.source)}</source>`,
+      ...item.symbols.map((s) => `      <category>${xml(s)}</category>`),
+      '    </item>'
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${xml(feed.title)}</title>`,
+    `    <link>${xml(feed.link)}</link>`,
+    `    <description>${xml(feed.title)}</description>`,
+    `    <atom:link href="${xml(feed.selfLink)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+export function toAtom(items: NewsItem[], feed: FeedInfo): string {
+  const entries = items.map((item) =>
+    [
+      '  <entry>',
+      `    <id>urn:news:${xml(item.id)}</id>`,
+      `    <title>${xml(item.title)}</title>`,
+      `    <link href="${xml(item.url)}"/>`,
+      `    <updated>${item.published_at}</updated>`,
+      `    <published>${item.published_at}</published>`,
+      `    <author><name>${xml(item.source)}</name></author>`,
+      item.summary ? `    <summary>${xml(item.summary)}</summary>` : '',
+      ...item.symbols.map((s) => `    <category term="${xml(s)}"/>`),
+      '  </entry>'
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xml(feed.selfLink)}</id>`,
+    `  <title>${xml(feed.title)}</title>`,
+    `  <link href="${xml(feed.link)}"/>`,
+    `  <link href="${xml(feed.selfLink)}" rel="self"/>`,
+    `  <updated>${feed.updatedAt}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+export function formatExport(format: ExportFormat, items: NewsItem[], feed: FeedInfo): string {
+  switch (format) {
+    case 'csv':
+      return toCsv(items);
+    case 'ndjson':
+      return toNdjson(items);
+    case 'rss':
+      return toRss(items, feed);
+    case 'atom':
+      return toAtom(items, feed);
+  }
+}
@@ -0,0 +1,147 @@
+﻿import { TtlCache } from './cache';
+import { ProviderError } from './http';
+import { getProviderDefinition } from './providers';
+import { TokenBucket, tryTakeAll } from './rateLimit';
+import { processSingleton } from '../util';
+import type { NewsItem, NewsProvider, ProviderFetchResult, ProviderId, ProviderQuery } from './types';
+
+type ProviderState = {
+  buckets: TokenBucket[];
+  hits: number;
+  misses: number;
+  lastSuccessAt: string | null;
+  lastFailureAt: string | null;
+  lastError: string | null;
+};
+
+type GuardState = {
+  cache: TtlCache<NewsItem[]>;
+  providers: Map<ProviderId, ProviderState>;
+  inflight: Map<string, Promise<NewsItem[]>>;
+};
+
+export type ProviderStats = {
+  budget: { requests: number; interval_ms: number; remaining: number }[];
+  cache: { hits: number; misses: number; hit_ratio: number | null };
+  last_success_at: string | null;
+  last_failure_at: string | null;
+  last_error: string | null;
+};
+
+function getState(): GuardState {
+  return processSingleton<GuardState>('__newsGuard', () => ({ cache: new TtlCache(), providers: new Map(), inflight: new Map() }));
+}
+
+function getProviderState(id: ProviderId, now = Date.now()): ProviderState {
+  const { providers } = getState();
+  let state = providers.get(id);
+  if (!state) {
+    const limits = getProviderDefinition(id)?.limits ?? [];
+    state = {
+      buckets: limits.map((limit) => new TokenBucket(limit, now)),
+      hits: 0,
+      misses: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
+    providers.set(id, state);
+  }
+  return state;
+}
+
+function cacheKey(id: ProviderId, query: ProviderQuery): string {
+  const symbols = [...(query.symbols ?? [])].sort().join(',');
+  return `${id}|${symbols}|${query.limit ?? ''}`;
+}
+
+function fetchUpstream(
+  provider: NewsProvider,
+  query: ProviderQuery,
+  key: string,
+  state: ProviderState,
+  now: number
+): Promise<NewsItem[]> {
+  const { cache, inflight } = getState();
+  const pending = inflight.get(key);
+  if (pending) return pending;
+
+  const ttlMs = getProviderDefinition(provider.id)?.ttlMs ?? 0;
+  const request = provider
+    .fetchNews(query)
+    .then((items) => {
+      if (ttlMs > 0) cache.set(key, items, ttlMs, now);
+      state.lastSuccessAt = new Date().toISOString();
+      return items;
+    })
+    .catch((err) => {
+      state.lastFailureAt = new Date().toISOString();
+      state.lastError = err instanceof Error ? err.message : String(err);
+      throw err;
+    })
+    .finally(() => inflight.delete(key));
+
+  inflight.set(key, request);
+  return request;
+}
+
+/**
+ * Fetches through the provider's cache and rate-limit budget. Fresh cache
+ * entries are returned as-is; expired ones are returned flagged stale while a
+ * background refresh runs, or kept as a fallback when the budget is spent
+ * (also flagged rateLimited) or the upstream call fails. Providers with no TTL
+ * bypass the cache.
+ */
+export async function fetchWithPolicy(
+  provider: NewsProvider,
+  query: ProviderQuery,
+  now = Date.now()
+): Promise<ProviderFetchResult> {
+  const { cache, inflight } = getState();
+  const state = getProviderState(provider.id, now);
+  const key = cacheKey(provider.id, query);
+  if (!getProviderDefinition(provider.id)?.ttlMs) {
+    state.misses++;
+    return { items: await fetchUpstream(provider, query, key, state, now), stale: false };
+  }
+  const cached = cache.get(key, now);
+
+  if (cached?.fresh) {
+    state.hits++;
+    return { items: cached.value, stale: false };
+  }
+  state.misses++;
+
+  const cost = getProviderDefinition(provider.id)?.requestCost?.(query) ?? 1;
+  const canFetch = inflight.has(key) || tryTakeAll(state.buckets, cost, now);
+
+  if (cached) {
+    if (canFetch) fetchUpstream(provider, query, key, state, now).catch(() => {});
+    return { items: cached.value, stale: true, rateLimited: !canFetch };
+  }
+
+  if (!canFetch) {
+    throw new ProviderError(provider.id, 'Rate limit budget exhausted', 429);
+  }
+  return { items: await fetchUpstream(provider, query, key, state, now), stale: false };
+}
+
+export function getProviderStats(id: ProviderId, now = Date.now()): ProviderStats {
+  const state = getProviderState(id, now);
+  const lookups = state.hits + state.misses;
+  return {
+    budget: state.buckets.map((bucket) => ({
+      requests: bucket.limit.requests,
+      interval_ms: bucket.limit.intervalMs,
+      remaining: bucket.remaining(now)
+    })),
+    cache: {
+      hits: state.hits,
+      misses: state.misses,
+      hit_ratio: lookups ? Number((state.hits / lookups).toFixed(3)) : null
+    },
+    last_success_at: state.lastSuccessAt,
+    last_failure_at: state.lastFailureAt,
+    last_error: state.lastError
+  };
+}
@@ -0,0 +1,67 @@
+﻿import type { FetchLike } from './types';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+export class ProviderError extends Error {
+  provider: string;
+  status?: number;
+
+  constructor(provider: string, message: string, status?: number) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+export async function fetchJson(
+  provider: string,
+  url: string,
+  fetchImpl: FetchLike = fetch,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+): Promise<unknown> {
+  let res: Response;
+  try {
+    res = await fetchImpl(url, {
+      headers: { accept: 'application/json' },
+      cache: 'no-store',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    const reason = err instanceof Error ? err.message : String(err);
+    throw new ProviderError(provider, `Request failed: ${reason}`);
+  }
+
+  if (!res.ok) {
+    throw new ProviderError(provider, `HTTP ${res.status}`, res.status);
+  }
+
+  try {
+    return await res.json();
+  } catch {
+    throw new ProviderError(provider, 'Invalid JSON response', res.status);
+  }
+}
+
+/** FNV-1a, used to derive stable ids for providers that don't supply one. */
+export function hashString(value: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+export function toIsoString(value: Date | number): string | null {
+  const date = typeof value === 'number' ? new Date(value) : value;
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function asString(value: unknown): string {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+export function uniqueSymbols(symbols: string[]): string[] {
+  return Array.from(new Set(symbols.map((s) => s.trim().toUpperCase()).filter(Boolean)));
+}
@@ -0,0 +1,145 @@
+﻿import { evaluateAlerts } from '../alerts/engine';
+import { processSingleton } from '../util';
+import { normalizeUrl } from './dedupe';
+import { collectNews } from './pipeline';
+import { getNewsStore } from './store';
+import type { NewsItem, ProviderErrorInfo } from './types';
+
+const DEFAULT_INTERVAL_MS = 30_000;
+const BUFFER_SIZE = 1000;
+const SEEN_LIMIT = 5000;
+
+export type IngestEvent = {
+  seq: number;
+  item: NewsItem;
+};
+
+export type IngestListener = (events: IngestEvent[]) => void;
+
+type IngestState = {
+  seq: number;
+  buffer: IngestEvent[];
+  seen: Set<string>;
+  listeners: Set<IngestListener>;
+  timer: ReturnType<typeof setInterval> | null;
+  running: boolean;
+  lastRunAt: string | null;
+  lastErrors: ProviderErrorInfo[];
+};
+
+function getState(): IngestState {
+  return processSingleton<IngestState>('__newsIngest', () => ({
+    seq: 0,
+    buffer: [],
+    seen: new Set(),
+    listeners: new Set(),
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastErrors: []
+  }));
+}
+
+function remember(seen: Set<string>, key: string): boolean {
+  if (seen.has(key)) return false;
+  seen.add(key);
+  if (seen.size > SEEN_LIMIT) {
+    const oldest = seen.values().next().value;
+    if (oldest !== undefined) seen.delete(oldest);
+  }
+  return true;
+}
+
+/**
+ * Records items that haven't been seen before, assigns each a sequence number,
+ * archives them, runs alert rules and notifies listeners. Archiving and alerts
+ * are independent: a failed archive write doesn't stop alerts.
+ * Returns the newly published events.
+ */
+export function publishItems(items: NewsItem[]): IngestEvent[] {
+  const state = getState();
+  const fresh = items
+    .filter((item) => remember(state.seen, normalizeUrl(item.url)))
+    .sort((a, b) => a.published_at.localeCompare(b.published_at));
+  if (!fresh.length) return [];
+
+  const events = fresh.map((item) => ({ seq: ++state.seq, item }));
+  state.buffer.push(...events);
+  if (state.buffer.length > BUFFER_SIZE) state.buffer.splice(0, state.buffer.length - BUFFER_SIZE);
+
+  getNewsStore()
+    .put(fresh)
+    .catch((err) => console.error('[ingest] archive write failed', err));
+  evaluateAlerts(fresh).catch((err) => console.error('[ingest] alert dispatch failed', err));
+
+  for (const listener of state.listeners) {
+    try {
+      listener(events);
+    } catch (err) {
+      console.error('[ingest] listener failed', err);
+    }
+  }
+  return events;
+}
+
+export async function runIngestion(): Promise<IngestEvent[]> {
+  const state = getState();
+  if (state.running) return [];
+  state.running = true;
+  try {
+    const { items, errors } = await collectNews();
+    state.lastRunAt = new Date().toISOString();
+    state.lastErrors = errors;
+    return publishItems(items);
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Starts the background polling loop once per process; later calls are no-ops.
+ * Called from instrumentation.ts at server boot and runs for the life of the
+ * process, independent of connected stream clients.
+ */
+export function ensureIngestion(intervalMs = Number(process.env.NEWS_INGEST_INTERVAL_MS) || DEFAULT_INTERVAL_MS): void {
+  const state = getState();
+  if (state.timer) return;
+
+  const tick = () => {
+    runIngestion().catch((err) => console.error('[ingest] run failed', err));
+  };
+  state.timer = setInterval(tick, intervalMs);
+  state.timer.unref?.();
+  tick();
+}
+
+export function subscribe(listener: IngestListener): () => void {
+  const { listeners } = getState();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Buffered events after `seq`. `complete` is false when the buffer no longer
+ * reaches back that far, i.e. the caller has missed events.
+ */
+export function eventsSince(seq: number): { events: IngestEvent[]; complete: boolean } {
+  const state = getState();
+  // A Last-Event-ID from before a restart is ahead of our counter; replay everything we have.
+  if (seq > state.seq) return { events: [...state.buffer], complete: false };
+  const first = state.buffer[0];
+  const complete = !first || first.seq <= seq + 1;
+  return { events: state.buffer.filter((e) => e.seq > seq), complete };
+}
+
+export function getIngestStatus() {
+  const state = getState();
+  return {
+    running: !!state.timer,
+    seq: state.seq,
+    buffered: state.buffer.length,
+    subscribers: state.listeners.size,
+    last_run_at: state.lastRunAt,
+    last_errors: state.lastErrors
+  };
+}
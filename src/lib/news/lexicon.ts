@@ -0,0 +1,41 @@
+﻿// Condensed financial sentiment word lists in the spirit of Loughran-McDonald:
+// words are chosen for their meaning in filings and market news, so generic
+// "negative" words like "liability" or "tax" are deliberately absent.
+
+export const POSITIVE_WORDS = new Set([
+  'accelerate', 'accelerated', 'accelerates', 'achieve', 'achieved', 'advance', 'advanced', 'advances',
+  'attractive', 'beat', 'beats', 'benefit', 'benefited', 'best', 'better', 'boom', 'boost', 'boosted',
+  'boosts', 'breakthrough', 'bullish', 'climb', 'climbed', 'climbs', 'confident', 'exceed', 'exceeded',
+  'exceeds', 'excellent', 'expand', 'expanded', 'expands', 'expansion', 'favorable', 'gain', 'gained',
+  'gains', 'good', 'great', 'grew', 'grow', 'growing', 'grows', 'growth', 'high', 'highs', 'improve',
+  'improved', 'improvement', 'improves', 'increase', 'increased', 'increases', 'innovative', 'jump',
+  'jumped', 'jumps', 'leading', 'momentum', 'opportunity', 'optimistic', 'outperform', 'outperformed',
+  'outperforms', 'positive', 'profit', 'profitable', 'profits', 'rally', 'rallied', 'rallies', 'rebound',
+  'rebounded', 'record', 'recover', 'recovered', 'recovery', 'rise', 'rises', 'rising', 'rose', 'soar',
+  'soared', 'soars', 'solid', 'strength', 'strengthen', 'strong', 'stronger', 'success', 'successful',
+  'surge', 'surged', 'surges', 'surpass', 'surpassed', 'tops', 'upbeat', 'upgrade', 'upgraded', 'upgrades',
+  'upside', 'win', 'wins'
+]);
+
+export const NEGATIVE_WORDS = new Set([
+  'adverse', 'bankrupt', 'bankruptcy', 'bearish', 'breach', 'closure', 'collapse', 'collapsed',
+  'concern', 'concerns', 'crash', 'crashed', 'crisis', 'cut', 'cuts', 'decline', 'declined', 'declines',
+  'decrease', 'decreased', 'default', 'defaults', 'deficit', 'delay', 'delayed', 'delays', 'delist',
+  'delisted', 'disappoint', 'disappointed', 'disappointing', 'disappoints', 'downgrade', 'downgraded',
+  'downgrades', 'downturn', 'drop', 'dropped', 'drops', 'fail', 'failed', 'failure', 'fall', 'fallen',
+  'falling', 'falls', 'fell', 'fined', 'fraud', 'halt', 'halted', 'halts', 'impairment', 'investigation',
+  'lawsuit', 'layoff', 'layoffs', 'litigation', 'loss', 'losses', 'lost', 'low', 'lower', 'lows', 'miss',
+  'missed', 'misses', 'negative', 'penalty', 'plunge', 'plunged', 'plunges', 'probe', 'recall', 'recalled',
+  'recalls', 'recession', 'restatement', 'resign', 'resigned', 'resigns', 'risk', 'risks', 'selloff', 'shortfall',
+  'slash', 'slashed', 'slide', 'slump', 'slumped', 'slumps', 'subpoena', 'sued', 'suspend', 'suspended',
+  'tumble', 'tumbled', 'tumbles', 'underperform', 'warn', 'warned', 'warning', 'warns', 'weak', 'weaker',
+  'weakness', 'worse', 'worst', 'writedown'
+]);
+
+export const UNCERTAINTY_WORDS = new Set([
+  'approximately', 'could', 'doubt', 'fluctuate', 'fluctuation', 'may', 'might', 'pending', 'possible',
+  'possibly', 'probably', 'risky', 'rumor', 'rumors', 'speculate', 'speculation', 'uncertain', 'uncertainty',
+  'unclear', 'unknown', 'unpredictable', 'volatile', 'volatility'
+]);
+
+export const NEGATORS = new Set(['not', 'no', 'never', 'without', "isn't", "wasn't", "didn't", "doesn't", "won't", 'fails']);
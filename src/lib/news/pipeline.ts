@@ -0,0 +1,44 @@
+﻿import { aggregateNews, sortByPublished } from './aggregate';
+import { dedupeNews } from './dedupe';
+import { fetchWithPolicy } from './guard';
+import { getConfiguredProviders } from './providers';
+import { withScores } from './sentiment';
+import { resolveSymbols } from './symbols';
+import type { NewsItem, ProviderErrorInfo } from './types';
+
+export type CollectResult = {
+  items: NewsItem[];
+  counts: Record<string, number>;
+  errors: ProviderErrorInfo[];
+  stale: string[];
+  rateLimited: string[];
+};
+
+/** Fetches every configured provider, then resolves symbols, dedupes and scores the merged items, newest first. */
+export async function collectNews(symbols: string[] = []): Promise<CollectResult> {
+  const providers = getConfiguredProviders();
+  if (providers.length === 0) {
+    return {
+      items: [],
+      counts: {},
+      errors: [{ provider: 'all', message: 'No news providers configured' }],
+      stale: [],
+      rateLimited: []
+    };
+  }
+
+  const { items: raw, counts, errors, stale, rateLimited } = await aggregateNews(
+    providers,
+    { symbols: symbols.length ? symbols : undefined },
+    fetchWithPolicy
+  );
+  const { items, deduplicated } = dedupeNews(raw.map(resolveSymbols));
+
+  return {
+    items: sortByPublished(items.map(withScores)),
+    counts: { ...counts, raw: raw.length, deduplicated },
+    errors,
+    stale,
+    rateLimited
+  };
+}
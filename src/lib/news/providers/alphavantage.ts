@@ -0,0 +1,75 @@
+﻿import { ProviderError, asString, fetchJson, hashString, uniqueSymbols } from '../http';
+import type { NewsItem, NewsProvider, ProviderAdapterOptions, ProviderQuery } from '../types';
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+type AlphaVantageArticle = {
+  title?: string;
+  url?: string;
+  time_published?: string;
+  summary?: string;
+  source?: string;
+  ticker_sentiment?: { ticker?: string }[];
+};
+
+type AlphaVantagePayload = {
+  feed?: AlphaVantageArticle[];
+  Information?: string;
+  Note?: string;
+  'Error Message'?: string;
+};
+
+// time_published looks like 20240115T143000 (seconds are sometimes omitted).
+function parseTimePublished(value: string): string | null {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?$/.exec(value);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s = '00'] = m;
+  const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function mapAlphaVantagePayload(payload: unknown): NewsItem[] {
+  const data = (payload ?? {}) as AlphaVantagePayload;
+  if (!Array.isArray(data.feed)) {
+    const message = data['Error Message'] ?? data.Note ?? data.Information ?? 'Unexpected response shape';
+    throw new ProviderError('alphavantage', message);
+  }
+
+  const items: NewsItem[] = [];
+  for (const article of data.feed) {
+    const url = asString(article.url);
+    const title = asString(article.title);
+    const published = parseTimePublished(asString(article.time_published));
+    if (!url || !title || !published) continue;
+
+    items.push({
+      id: `alphavantage_${hashString(url)}`,
+      title,
+      summary: asString(article.summary),
+      url,
+      published_at: published,
+      source: asString(article.source) || 'Alpha Vantage',
+      symbols: uniqueSymbols((article.ticker_sentiment ?? []).map((t) => asString(t.ticker))),
+      provider: 'alphavantage'
+    });
+  }
+  return items;
+}
+
+export function createAlphaVantageProvider(options: ProviderAdapterOptions): NewsProvider {
+  return {
+    id: 'alphavantage',
+    async fetchNews(query: ProviderQuery) {
+      const params = new URLSearchParams({
+        function: 'NEWS_SENTIMENT',
+        sort: 'LATEST',
+        limit: String(query.limit ?? 50),
+        apikey: options.apiKey
+      });
+      if (query.symbols?.length) params.set('tickers', query.symbols.join(','));
+
+      const payload = await fetchJson('alphavantage', `${BASE_URL}?${params}`, options.fetch, options.timeoutMs);
+      return mapAlphaVantagePayload(payload);
+    }
+  };
+}
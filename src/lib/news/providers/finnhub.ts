@@ -0,0 +1,74 @@
+﻿import { ProviderError, asString, fetchJson, toIsoString, uniqueSymbols } from '../http';
+import type { NewsItem, NewsProvider, ProviderAdapterOptions, ProviderQuery } from '../types';
+
+const BASE_URL = 'https://finnhub.io/api/v1';
+const COMPANY_NEWS_LOOKBACK_DAYS = 3;
+
+type FinnhubArticle = {
+  id?: number;
+  datetime?: number;
+  headline?: string;
+  related?: string;
+  source?: string;
+  summary?: string;
+  url?: string;
+};
+
+export function mapFinnhubPayload(payload: unknown): NewsItem[] {
+  if (!Array.isArray(payload)) {
+    const message = asString((payload as { error?: string } | null)?.error);
+    throw new ProviderError('finnhub', message || 'Unexpected response shape');
+  }
+
+  const items: NewsItem[] = [];
+  for (const article of payload as FinnhubArticle[]) {
+    const url = asString(article.url);
+    const title = asString(article.headline);
+    const published = typeof article.datetime === 'number' ? toIsoString(article.datetime * 1000) : null;
+    if (!url || !title || !published || article.id == null) continue;
+
+    items.push({
+      id: `finnhub_${article.id}`,
+      title,
+      summary: asString(article.summary),
+      url,
+      published_at: published,
+      source: asString(article.source) || 'Finnhub',
+      symbols: uniqueSymbols(asString(article.related).split(',')),
+      provider: 'finnhub'
+    });
+  }
+  return items;
+}
+
+function isoDay(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+export function createFinnhubProvider(options: ProviderAdapterOptions): NewsProvider {
+  const get = async (path: string, params: Record<string, string>) => {
+    const qs = new URLSearchParams({ ...params, token: options.apiKey });
+    return mapFinnhubPayload(await fetchJson('finnhub', `${BASE_URL}${path}?${qs}`, options.fetch, options.timeoutMs));
+  };
+
+  return {
+    id: 'finnhub',
+    async fetchNews(query: ProviderQuery) {
+      const limit = query.limit ?? 50;
+      if (!query.symbols?.length) {
+        return (await get('/news', { category: 'general' })).slice(0, limit);
+      }
+
+      // Company news is per-symbol only, so fan out and tag each item with the symbol it was requested for.
+      const to = new Date();
+      const from = new Date(to.getTime() - COMPANY_NEWS_LOOKBACK_DAYS * 86_400_000);
+      const batches = await Promise.all(
+        query.symbols.map(async (symbol) => {
+          const items = await get('/company-news', { symbol, from: isoDay(from), to: isoDay(to) });
+          return items.map((item) => ({ ...item, symbols: uniqueSymbols([symbol, ...item.symbols]) }));
+        })
+      );
+      return batches.flat().slice(0, limit * query.symbols.length);
+    }
+  };
+}
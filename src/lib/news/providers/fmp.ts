@@ -0,0 +1,63 @@
+﻿import { ProviderError, asString, fetchJson, hashString, uniqueSymbols } from '../http';
+import type { NewsItem, NewsProvider, ProviderAdapterOptions, ProviderQuery } from '../types';
+
+const BASE_URL = 'https://financialmodelingprep.com/api/v3/stock_news';
+
+type FmpArticle = {
+  symbol?: string;
+  publishedDate?: string;
+  title?: string;
+  site?: string;
+  text?: string;
+  url?: string;
+};
+
+// publishedDate looks like "2024-01-15 14:30:00" with no zone; treat it as UTC.
+function parsePublishedDate(value: string): string | null {
+  if (!value) return null;
+  const date = new Date(`${value.replace(' ', 'T')}${/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? '' : 'Z'}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function mapFmpPayload(payload: unknown): NewsItem[] {
+  if (!Array.isArray(payload)) {
+    const message = asString((payload as { 'Error Message'?: string } | null)?.['Error Message']);
+    throw new ProviderError('fmp', message || 'Unexpected response shape');
+  }
+
+  const items: NewsItem[] = [];
+  for (const article of payload as FmpArticle[]) {
+    const url = asString(article.url);
+    const title = asString(article.title);
+    const published = parsePublishedDate(asString(article.publishedDate));
+    if (!url || !title || !published) continue;
+
+    items.push({
+      id: `fmp_${hashString(url)}`,
+      title,
+      summary: asString(article.text),
+      url,
+      published_at: published,
+      source: asString(article.site) || 'FMP',
+      symbols: uniqueSymbols([asString(article.symbol)]),
+      provider: 'fmp'
+    });
+  }
+  return items;
+}
+
+export function createFmpProvider(options: ProviderAdapterOptions): NewsProvider {
+  return {
+    id: 'fmp',
+    async fetchNews(query: ProviderQuery) {
+      const params = new URLSearchParams({
+        limit: String(query.limit ?? 50),
+        apikey: options.apiKey
+      });
+      if (query.symbols?.length) params.set('tickers', query.symbols.join(','));
+
+      const payload = await fetchJson('fmp', `${BASE_URL}?${params}`, options.fetch, options.timeoutMs);
+      return mapFmpPayload(payload);
+    }
+  };
+}
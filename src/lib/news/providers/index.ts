@@ -0,0 +1,72 @@
+﻿import { createAlphaVantageProvider } from './alphavantage';
+import { createFinnhubProvider } from './finnhub';
+import { createFmpProvider } from './fmp';
+import { createMockProvider } from './mock';
+import type { RateLimit } from '../rateLimit';
+import type { FetchLike, NewsProvider, ProviderAdapterOptions, ProviderId, ProviderQuery } from '../types';
+
+const MINUTE = 60_000;
+const DAY = 24 * 60 * MINUTE;
+
+export type ProviderDefinition = {
+  id: ProviderId;
+  envKey: string;
+  create: (options: ProviderAdapterOptions) => NewsProvider;
+  /** How long a response is served from cache before it is revalidated. */
+  ttlMs: number;
+  /** Free-tier quotas; every limit must have budget left for a request to go out. */
+  limits: RateLimit[];
+  /** Upstream requests one fetchNews call makes; defaults to 1. */
+  requestCost?: (query: ProviderQuery) => number;
+};
+
+export const PROVIDERS: ProviderDefinition[] = [
+  {
+    id: 'alphavantage',
+    envKey: 'ALPHAVANTAGE_KEY',
+    create: createAlphaVantageProvider,
+    ttlMs: 15 * MINUTE,
+    limits: [
+      { requests: 5, intervalMs: MINUTE },
+      { requests: 25, intervalMs: DAY }
+    ]
+  },
+  {
+    id: 'fmp',
+    envKey: 'FMP_KEY',
+    create: createFmpProvider,
+    ttlMs: 5 * MINUTE,
+    limits: [{ requests: 250, intervalMs: DAY }]
+  },
+  {
+    id: 'finnhub',
+    envKey: 'FINNHUB_KEY',
+    create: createFinnhubProvider,
+    ttlMs: MINUTE,
+    limits: [{ requests: 60, intervalMs: MINUTE }],
+    requestCost: (query) => Math.max(1, query.symbols?.length ?? 0)
+  },
+  {
+    id: 'mock',
+    envKey: 'NEWS_MOCK_PROVIDER',
+    create: () => createMockProvider(),
+    ttlMs: 0,
+    limits: []
+  }
+];
+
+export function getProviderDefinition(id: ProviderId): ProviderDefinition | undefined {
+  return PROVIDERS.find((def) => def.id === id);
+}
+
+export function getConfiguredProviders(
+  env: Record<string, string | undefined> = process.env,
+  fetchImpl?: FetchLike
+): NewsProvider[] {
+  return PROVIDERS.flatMap((def) => {
+    const apiKey = env[def.envKey];
+    return apiKey ? [def.create({ apiKey, fetch: fetchImpl })] : [];
+  });
+}
+
+export { createAlphaVantageProvider, createFinnhubProvider, createFmpProvider, createMockProvider };
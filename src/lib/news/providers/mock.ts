@@ -0,0 +1,53 @@
+﻿import type { NewsItem, NewsProvider } from '../types';
+
+const TICKERS = ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'TSLA', 'NVDA', 'META', 'JPM'];
+const SOURCES = ['Reuters', 'Bloomberg', 'MarketWatch', 'CNBC'];
+const TEMPLATES = [
+  '{s} shares climb after earnings beat estimates',
+  '{s} falls as guidance disappoints investors',
+  'Analysts upgrade {s} on strong demand outlook',
+  '{s} announces share buyback program',
+  'Regulators open probe into {s} business practices',
+  '{s} trading halted pending news'
+];
+
+type MockProviderOptions = {
+  /** Items produced per fetchNews call. */
+  batchSize?: number;
+  random?: () => number;
+  now?: () => number;
+};
+
+/** Produces fresh synthetic headlines on every call; for local stream testing only. */
+export function createMockProvider(options: MockProviderOptions = {}): NewsProvider {
+  const random = options.random ?? Math.random;
+  const now = options.now ?? Date.now;
+  let counter = 0;
+
+  const pick = <T,>(values: T[]) => values[Math.floor(random() * values.length)];
+
+  return {
+    id: 'mock',
+    async fetchNews(query) {
+      const batchSize = options.batchSize ?? 1 + Math.floor(random() * 3);
+      const tickers = query.symbols?.length ? query.symbols : TICKERS;
+      const items: NewsItem[] = [];
+
+      for (let i = 0; i < batchSize; i++) {
+        const symbol = pick(tickers);
+        const id = `mock_${now().toString(36)}_${++counter}`;
+        items.push({
+          id,
+          title: pick(TEMPLATES).replace('{s}', symbol),
+          summary: `Synthetic headline generated for ${symbol}.`,
+          url: `https://example.com/mock/${id}`,
+          published_at: new Date(now()).toISOString(),
+          source: pick(SOURCES),
+          symbols: [symbol],
+          provider: 'mock'
+        });
+      }
+      return items;
+    }
+  };
+}
@@ -0,0 +1,203 @@
+﻿import { relevanceFor } from './sentiment';
+import { normalizeSymbol } from './symbols';
+import type { NewsItem } from './types';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+const MAX_SYMBOLS = 25;
+const MAX_QUERY_LENGTH = 200;
+const SORTS = ['published', 'relevance'] as const;
+
+export type NewsSort = (typeof SORTS)[number];
+
+export type NewsQuery = {
+  symbols: string[];
+  sources: string[];
+  since?: string;
+  until?: string;
+  q?: string;
+  minSentiment?: number;
+  sort: NewsSort;
+  limit: number;
+  cursor?: NewsCursor;
+};
+
+/** Sort key of the last item on a page; relevance is only set for relevance-sorted pages. */
+export type NewsCursor = {
+  published_at: string;
+  id: string;
+  relevance?: number;
+};
+
+export type QueryParamError = {
+  param: string;
+  message: string;
+};
+
+export type ParseResult = { ok: true; query: NewsQuery } | { ok: false; errors: QueryParamError[] };
+
+export function encodeCursor(cursor: NewsCursor): string {
+  const key = cursor.relevance === undefined ? [cursor.published_at, cursor.id] : [cursor.published_at, cursor.id, cursor.relevance];
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+export function decodeCursor(value: string): NewsCursor | null {
+  try {
+    const decoded = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length < 2 || decoded.length > 3) return null;
+    const [publishedAt, id, relevance] = decoded;
+    if (typeof publishedAt !== 'string' || typeof id !== 'string' || Number.isNaN(Date.parse(publishedAt))) return null;
+    if (decoded.length === 3 && typeof relevance !== 'number') return null;
+    return { published_at: publishedAt, id, ...(decoded.length === 3 ? { relevance } : {}) };
+  } catch {
+    return null;
+  }
+}
+
+function splitList(value: string | null): string[] {
+  if (!value) return [];
+  return Array.from(new Set(value.split(',').map((s) => s.trim()).filter(Boolean)));
+}
+
+// Accepts ISO-8601 strings or epoch milliseconds. Shorter digit runs ("2024",
+// "20240115", epoch seconds) are rejected rather than read as 1970 timestamps.
+const MIN_EPOCH_MS_DIGITS = 12;
+
+function parseTimestamp(value: string): string | null {
+  const epoch = /^\d+$/.test(value);
+  if (epoch && value.length < MIN_EPOCH_MS_DIGITS) return null;
+  const date = epoch ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function parseNewsQuery(params: URLSearchParams): ParseResult {
+  const errors: QueryParamError[] = [];
+
+  const rawSymbols = splitList(params.get('symbols'));
+  const symbols = Array.from(new Set(rawSymbols.map(normalizeSymbol).filter(Boolean)));
+  const badSymbols = rawSymbols.filter((s) => !normalizeSymbol(s));
+  if (badSymbols.length) {
+    errors.push({ param: 'symbols', message: `Invalid symbol(s): ${badSymbols.join(', ')}` });
+  } else if (symbols.length > MAX_SYMBOLS) {
+    errors.push({ param: 'symbols', message: `At most ${MAX_SYMBOLS} symbols are allowed` });
+  }
+
+  const sources = splitList(params.get('sources')).map((s) => s.toLowerCase());
+
+  const range: { since?: string; until?: string } = {};
+  for (const param of ['since', 'until'] as const) {
+    const raw = params.get(param);
+    if (raw == null || raw === '') continue;
+    const parsed = parseTimestamp(raw);
+    if (parsed) range[param] = parsed;
+    else errors.push({ param, message: 'Must be an ISO-8601 timestamp or epoch milliseconds' });
+  }
+  if (range.since && range.until && range.since > range.until) {
+    errors.push({ param: 'since', message: 'Must not be later than until' });
+  }
+
+  const q = params.get('q')?.trim() || undefined;
+  if (q && q.length > MAX_QUERY_LENGTH) {
+    errors.push({ param: 'q', message: `Must be at most ${MAX_QUERY_LENGTH} characters` });
+  }
+
+  let minSentiment: number | undefined;
+  const rawMinSentiment = params.get('minSentiment');
+  if (rawMinSentiment != null && rawMinSentiment !== '') {
+    const parsed = Number(rawMinSentiment);
+    if (!Number.isFinite(parsed) || parsed < -1 || parsed > 1) {
+      errors.push({ param: 'minSentiment', message: 'Must be a number between -1 and 1' });
+    } else {
+      minSentiment = parsed;
+    }
+  }
+
+  const sort = (params.get('sort') || 'published') as NewsSort;
+  if (!SORTS.includes(sort)) {
+    errors.push({ param: 'sort', message: `Must be one of: ${SORTS.join(', ')}` });
+  }
+
+  let limit = DEFAULT_LIMIT;
+  const rawLimit = params.get('limit');
+  if (rawLimit != null && rawLimit !== '') {
+    const parsed = Number(rawLimit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+      errors.push({ param: 'limit', message: `Must be an integer between 1 and ${MAX_LIMIT}` });
+    } else {
+      limit = parsed;
+    }
+  }
+
+  let cursor: NewsCursor | undefined;
+  const rawCursor = params.get('cursor');
+  if (rawCursor) {
+    cursor = decodeCursor(rawCursor) ?? undefined;
+    if (!cursor) errors.push({ param: 'cursor', message: 'Malformed cursor' });
+    else if ((cursor.relevance !== undefined) !== (sort === 'relevance')) {
+      errors.push({ param: 'cursor', message: 'Cursor was issued for a different sort order' });
+    }
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, query: { symbols, sources, ...range, q, minSentiment, sort, limit, cursor } };
+}
+
+function matchesSource(item: NewsItem, sources: string[]): boolean {
+  const names = [item.provider, item.source, ...(item.sources ?? []).flatMap((s) => [s.provider, s.source])];
+  return names.some((name) => sources.includes(name.toLowerCase()));
+}
+
+function matchesText(item: NewsItem, terms: string[]): boolean {
+  const haystack = `${item.title} ${item.summary}`.toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+export function filterNews(items: NewsItem[], query: NewsQuery): NewsItem[] {
+  const terms = query.q ? query.q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  return items.filter(
+    (item) =>
+      (!query.symbols.length || item.symbols.some((s) => query.symbols.includes(s))) &&
+      (!query.sources.length || matchesSource(item, query.sources)) &&
+      (!query.since || item.published_at >= query.since) &&
+      (!query.until || item.published_at <= query.until) &&
+      (!terms.length || matchesText(item, terms)) &&
+      (query.minSentiment === undefined || (item.sentiment?.score ?? 0) >= query.minSentiment)
+  );
+}
+
+function cursorFor(item: NewsItem, query: NewsQuery): NewsCursor {
+  const key: NewsCursor = { published_at: item.published_at, id: item.id };
+  if (query.sort === 'relevance') key.relevance = relevanceFor(item, query.symbols);
+  return key;
+}
+
+// Negative when `a` comes first: relevance desc (if sorting by it), then newest first, then id.
+function compareCursors(a: NewsCursor, b: NewsCursor): number {
+  if (a.relevance !== undefined && b.relevance !== undefined && a.relevance !== b.relevance) {
+    return b.relevance - a.relevance;
+  }
+  if (a.published_at !== b.published_at) return a.published_at < b.published_at ? 1 : -1;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+export function sortNews(items: NewsItem[], query: NewsQuery): NewsItem[] {
+  return items
+    .map((item) => ({ item, key: cursorFor(item, query) }))
+    .sort((a, b) => compareCursors(a.key, b.key))
+    .map(({ item }) => item);
+}
+
+/**
+ * Pages through items already ordered by sortNews. The cursor records the
+ * sort key of the last item returned, so pages stay stable as new items
+ * arrive at the head of the feed.
+ */
+export function paginateNews(items: NewsItem[], query: NewsQuery): { items: NewsItem[]; nextCursor: string | null } {
+  const { cursor } = query;
+  const start = cursor ? items.filter((item) => compareCursors(cursorFor(item, query), cursor) > 0) : items;
+
+  const page = start.slice(0, query.limit);
+  const last = page[page.length - 1];
+  const nextCursor = start.length > query.limit && last ? encodeCursor(cursorFor(last, query)) : null;
+  return { items: page, nextCursor };
+}
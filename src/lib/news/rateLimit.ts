@@ -0,0 +1,39 @@
+﻿export type RateLimit = {
+  requests: number;
+  intervalMs: number;
+};
+
+export class TokenBucket {
+  private tokens: number;
+  private updatedAt: number;
+
+  constructor(readonly limit: RateLimit, now = Date.now()) {
+    this.tokens = limit.requests;
+    this.updatedAt = now;
+  }
+
+  private refill(now: number): void {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.limit.requests, this.tokens + (elapsed * this.limit.requests) / this.limit.intervalMs);
+    this.updatedAt = now;
+  }
+
+  remaining(now = Date.now()): number {
+    this.refill(now);
+    return Math.floor(this.tokens);
+  }
+
+  tryTake(count = 1, now = Date.now()): boolean {
+    this.refill(now);
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+}
+
+/** Takes `count` tokens from every bucket, or none if any bucket is short. */
+export function tryTakeAll(buckets: TokenBucket[], count = 1, now = Date.now()): boolean {
+  if (buckets.some((b) => b.remaining(now) < count)) return false;
+  buckets.forEach((b) => b.tryTake(count, now));
+  return true;
+}
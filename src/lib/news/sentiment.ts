@@ -0,0 +1,139 @@
+﻿import { NEGATIVE_WORDS, NEGATORS, POSITIVE_WORDS, UNCERTAINTY_WORDS } from './lexicon';
+import { countMentions } from './symbols';
+import type { NewsItem, Sentiment, SentimentLabel } from './types';
+
+const TITLE_WEIGHT = 2;
+const NEGATION_WINDOW = 3;
+const LABEL_THRESHOLD = 0.15;
+
+function tokenize(text: string): string[] {
+  return text.toLowerCase().match(/[a-z]+(?:'[a-z]+)?/g) ?? [];
+}
+
+function tally(text: string, weight: number) {
+  let positive = 0;
+  let negative = 0;
+  let uncertain = 0;
+  const tokens = tokenize(text);
+
+  tokens.forEach((token, i) => {
+    if (UNCERTAINTY_WORDS.has(token)) uncertain += weight;
+    const polarity = POSITIVE_WORDS.has(token) ? 1 : NEGATIVE_WORDS.has(token) ? -1 : 0;
+    if (!polarity) return;
+    const negated = tokens.slice(Math.max(0, i - NEGATION_WINDOW), i).some((t) => NEGATORS.has(t));
+    if (polarity * (negated ? -1 : 1) > 0) positive += weight;
+    else negative += weight;
+  });
+
+  return { positive, negative, uncertain };
+}
+
+export function labelFor(score: number): SentimentLabel {
+  if (score >= LABEL_THRESHOLD) return 'positive';
+  if (score <= -LABEL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Net tone in -1..1. Headline words count double; the +1 in the denominator
+ * keeps a single hit from saturating the score, and uncertainty language
+ * pulls it toward neutral.
+ */
+export function scoreSentiment(title: string, summary = ''): Sentiment {
+  const t = tally(title, TITLE_WEIGHT);
+  const s = tally(summary, 1);
+  const positive = t.positive + s.positive;
+  const negative = t.negative + s.negative;
+  const uncertain = t.uncertain + s.uncertain;
+
+  const raw = (positive - negative) / (positive + negative + 1);
+  const score = Math.round((raw / (1 + 0.25 * uncertain)) * 1000) / 1000 || 0;
+  return { score, label: labelFor(score) };
+}
+
+/**
+ * Per-symbol relevance in 0..1: a headline mention (ticker or company name)
+ * weighs most, summary mentions add a little each, and items tagged with many
+ * symbols are discounted since each one is less likely to be the subject.
+ */
+export function scoreRelevance(item: Pick<NewsItem, 'title' | 'summary' | 'symbols'>): Record<string, number> {
+  const focus = 1 / (1 + 0.15 * Math.max(0, item.symbols.length - 1));
+  const titleMentions = countMentions(item.title);
+  const summaryMentions = countMentions(item.summary);
+  const relevance: Record<string, number> = {};
+  for (const symbol of item.symbols) {
+    const inTitle = titleMentions.has(symbol) ? 0.5 : 0;
+    const inSummary = Math.min(0.3, 0.1 * (summaryMentions.get(symbol) ?? 0));
+    relevance[symbol] = Math.round(Math.min(1, (0.2 + inTitle + inSummary) * focus) * 1000) / 1000;
+  }
+  return relevance;
+}
+
+export function withScores(item: NewsItem): NewsItem {
+  return {
+    ...item,
+    sentiment: scoreSentiment(item.title, item.summary),
+    relevance: scoreRelevance(item)
+  };
+}
+
+/** Highest relevance among the given symbols, or across all of the item's symbols. */
+export function relevanceFor(item: NewsItem, symbols: string[] = []): number {
+  const scores = item.relevance ?? {};
+  const keys = symbols.length ? symbols : Object.keys(scores);
+  return keys.reduce((best, s) => Math.max(best, scores[s] ?? 0), 0);
+}
+
+export type SentimentBucket = {
+  start: string;
+  count: number;
+  score: number | null;
+  positive: number;
+  negative: number;
+  neutral: number;
+};
+
+const MAX_BUCKETS = 1000;
+
+/**
+ * Relevance-weighted mean sentiment per time bucket for one symbol. Buckets
+ * between the first and last item are filled so gaps show up as nulls.
+ */
+export function sentimentSeries(items: NewsItem[], symbol: string, bucketMs: number): SentimentBucket[] {
+  const buckets = new Map<number, { weight: number; weighted: number; bucket: SentimentBucket }>();
+
+  for (const item of items) {
+    if (!item.symbols.includes(symbol) || !item.sentiment) continue;
+    const start = Math.floor(Date.parse(item.published_at) / bucketMs) * bucketMs;
+    let entry = buckets.get(start);
+    if (!entry) {
+      entry = {
+        weight: 0,
+        weighted: 0,
+        bucket: { start: new Date(start).toISOString(), count: 0, score: null, positive: 0, negative: 0, neutral: 0 }
+      };
+      buckets.set(start, entry);
+    }
+    const weight = item.relevance?.[symbol] || 0.1;
+    entry.weight += weight;
+    entry.weighted += weight * item.sentiment.score;
+    entry.bucket.count++;
+    entry.bucket[item.sentiment.label]++;
+  }
+
+  if (!buckets.size) return [];
+  const starts = Array.from(buckets.keys());
+  const last = Math.max(...starts);
+  const first = Math.max(Math.min(...starts), last - (MAX_BUCKETS - 1) * bucketMs);
+
+  const series: SentimentBucket[] = [];
+  for (let t = first; t <= last; t += bucketMs) {
+    const entry = buckets.get(t);
+    if (!entry) {
+      series.push({ start: new Date(t).toISOString(), count: 0, score: null, positive: 0, negative: 0, neutral: 0 });
+      continue;
+    }
+    series.push({ ...entry.bucket, score: Math.round((entry.weighted / entry.weight) * 1000) / 1000 });
+  }
+  return series;
+}
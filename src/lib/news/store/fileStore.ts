@@ -0,0 +1,164 @@
+﻿import { appendFile, mkdir, readFile, readdir, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { WriteQueue } from '../../util';
+import { normalizeUrl } from '../dedupe';
+import type { NewsItem } from '../types';
+import type { ArchiveRange, ArchiveStats, NewsStore } from './types';
+
+const DAY_MS = 86_400_000;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const PRUNE_INTERVAL_MS = 3_600_000;
+
+type StoredRecord = {
+  key: string;
+  stored_at: string;
+  item: NewsItem;
+};
+
+export type FileNewsStoreOptions = {
+  dir: string;
+  retentionDays: number;
+};
+
+export function archiveKey(item: NewsItem): string {
+  return normalizeUrl(item.url);
+}
+
+/**
+ * Append-only NDJSON files, one per UTC publication day. Retention drops
+ * whole day files; dedup keys for the retained files are held in memory.
+ */
+export class FileNewsStore implements NewsStore {
+  private keys: Promise<Set<string>> | null = null;
+  // Writes and prunes run one at a time so appends never interleave.
+  private writes = new WriteQueue();
+  private lastPruneAt = 0;
+
+  constructor(private options: FileNewsStoreOptions) {}
+
+  private fileFor(day: string): string {
+    return path.join(this.options.dir, `${day}.ndjson`);
+  }
+
+  private cutoffDay(now: number): string {
+    return new Date(now - this.options.retentionDays * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  private async listDays(): Promise<string[]> {
+    try {
+      const names = await readdir(this.options.dir);
+      return names.flatMap((name) => DAY_FILE.exec(name)?.[1] ?? []).sort();
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  private async readDay(day: string): Promise<StoredRecord[]> {
+    let text: string;
+    try {
+      text = await readFile(this.fileFor(day), 'utf8');
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw err;
+    }
+    const records: StoredRecord[] = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line) as StoredRecord);
+      } catch {
+        // a torn write from a crash; skip the line
+      }
+    }
+    return records;
+  }
+
+  private loadKeys(): Promise<Set<string>> {
+    this.keys ??= (async () => {
+      const keys = new Set<string>();
+      for (const day of await this.listDays()) {
+        for (const record of await this.readDay(day)) keys.add(record.key);
+      }
+      return keys;
+    })().catch((err) => {
+      // Don't cache the failure; the next put or stats call retries the scan.
+      this.keys = null;
+      throw err;
+    });
+    return this.keys;
+  }
+
+  put(items: NewsItem[]): Promise<number> {
+    return this.writes.run(async () => {
+      const keys = await this.loadKeys();
+      const now = Date.now();
+      const cutoff = this.cutoffDay(now);
+      const byDay = new Map<string, string[]>();
+
+      for (const item of items) {
+        const key = archiveKey(item);
+        const day = item.published_at.slice(0, 10);
+        if (keys.has(key) || day < cutoff) continue;
+        keys.add(key);
+        const record: StoredRecord = { key, stored_at: new Date(now).toISOString(), item };
+        byDay.set(day, [...(byDay.get(day) ?? []), JSON.stringify(record)]);
+      }
+
+      if (byDay.size) await mkdir(this.options.dir, { recursive: true });
+      let stored = 0;
+      for (const [day, lines] of byDay) {
+        await appendFile(this.fileFor(day), `${lines.join('\n')}\n`, 'utf8');
+        stored += lines.length;
+      }
+
+      if (now - this.lastPruneAt > PRUNE_INTERVAL_MS) await this.pruneUnlocked(now);
+      return stored;
+    });
+  }
+
+  async query(range: ArchiveRange): Promise<NewsItem[]> {
+    const firstDay = range.since?.slice(0, 10);
+    const lastDay = range.until?.slice(0, 10);
+    const days = (await this.listDays()).filter((d) => (!firstDay || d >= firstDay) && (!lastDay || d <= lastDay));
+
+    const items: NewsItem[] = [];
+    for (const day of days) {
+      for (const { item } of await this.readDay(day)) {
+        if (range.since && item.published_at < range.since) continue;
+        if (range.until && item.published_at > range.until) continue;
+        items.push(item);
+      }
+    }
+    return items;
+  }
+
+  private async pruneUnlocked(now: number): Promise<number> {
+    this.lastPruneAt = now;
+    const cutoff = this.cutoffDay(now);
+    let removed = 0;
+    for (const day of await this.listDays()) {
+      if (day >= cutoff) continue;
+      const records = await this.readDay(day);
+      await rm(this.fileFor(day), { force: true });
+      removed += records.length;
+    }
+    if (removed) this.keys = null;
+    return removed;
+  }
+
+  prune(now = Date.now()): Promise<number> {
+    return this.writes.run(() => this.pruneUnlocked(now));
+  }
+
+  async stats(): Promise<ArchiveStats> {
+    const days = await this.listDays();
+    return {
+      backend: 'file',
+      retention_days: this.options.retentionDays,
+      items: (await this.loadKeys()).size,
+      oldest: days[0] ?? null,
+      newest: days[days.length - 1] ?? null
+    };
+  }
+}
@@ -0,0 +1,38 @@
+﻿import path from 'node:path';
+import { processSingleton } from '../../util';
+import type { NewsItem } from '../types';
+import { FileNewsStore } from './fileStore';
+import type { ArchiveRange, NewsStore } from './types';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_WINDOW_MS = 86_400_000;
+
+export function getNewsStore(): NewsStore {
+  return processSingleton<NewsStore>(
+    '__newsStore',
+    () =>
+      new FileNewsStore({
+        dir: process.env.NEWS_ARCHIVE_DIR || path.join(process.cwd(), '.data', 'news-archive'),
+        retentionDays: Number(process.env.NEWS_ARCHIVE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+      })
+  );
+}
+
+/**
+ * Reads archived items for a history or export request. Without `since` the
+ * range covers the 24 hours before `until` (or now), so an open-ended request
+ * doesn't scan the whole retention period.
+ */
+export async function queryArchive(
+  { since, until }: ArchiveRange,
+  store: NewsStore = getNewsStore()
+): Promise<{ items: NewsItem[]; range: ArchiveRange & { since: string } }> {
+  const range = {
+    since: since ?? new Date(Date.parse(until ?? new Date().toISOString()) - DEFAULT_WINDOW_MS).toISOString(),
+    until
+  };
+  return { items: await store.query(range), range };
+}
+
+export { FileNewsStore, archiveKey } from './fileStore';
+export type { ArchiveRange, ArchiveStats, NewsStore } from './types';
@@ -0,0 +1,24 @@
+﻿import type { NewsItem } from '../types';
+
+export type ArchiveRange = {
+  since?: string;
+  until?: string;
+};
+
+export type ArchiveStats = {
+  backend: string;
+  retention_days: number;
+  items: number;
+  oldest: string | null;
+  newest: string | null;
+};
+
+export interface NewsStore {
+  /** Stores items whose dedup key hasn't been seen yet; returns how many were new. */
+  put(items: NewsItem[]): Promise<number>;
+  /** Items published within the range, in no particular order. */
+  query(range: ArchiveRange): Promise<NewsItem[]>;
+  /** Drops items older than the retention window; returns how many were removed. */
+  prune(now?: number): Promise<number>;
+  stats(): Promise<ArchiveStats>;
+}
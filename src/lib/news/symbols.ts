@@ -0,0 +1,108 @@
+﻿import { COMPANIES } from './data/companies';
+import type { NewsItem, SymbolOrigin } from './types';
+import { escapeRegExp } from '../util';
+
+const TICKER_PATTERN = /^[A-Z0-9]{1,6}(?:\.[A-Z])?$/;
+const EXCHANGE_PREFIX = /^(?:NASDAQ|NYSE|NYSEARCA|NYSEAMERICAN|NYSEMKT|AMEX|ARCA|BATS|CBOE|OTC|OTCMKTS|US)\s*:\s*/;
+// Reuters-style venue suffixes; only stripped when what's left is a ticker we know.
+const VENUE_SUFFIX = /\.(?:O|OQ|N|K)$/;
+
+const KNOWN = new Set(COMPANIES.map((c) => c.symbol));
+const RENAMED = new Map(COMPANIES.flatMap((c) => (c.formerSymbols ?? []).map((old) => [old, c.symbol] as const)));
+
+/**
+ * Canonical ticker form: upper case, no cashtag or exchange qualifier, share
+ * class after a dot (BRK-B, BRK/B and "BRK B" all become BRK.B), renamed
+ * tickers mapped to their current symbol. Returns '' for anything that
+ * doesn't look like a ticker.
+ */
+export function normalizeSymbol(raw: string): string {
+  let symbol = raw.trim().toUpperCase().replace(/^\$/, '').replace(EXCHANGE_PREFIX, '');
+  symbol = symbol.replace(/[.:\s]US$/, '');
+  if (VENUE_SUFFIX.test(symbol) && KNOWN.has(symbol.replace(VENUE_SUFFIX, ''))) {
+    symbol = symbol.replace(VENUE_SUFFIX, '');
+  }
+  symbol = symbol.replace(/^([A-Z]{1,5})[-/\s]([A-Z])$/, '$1.$2');
+  symbol = RENAMED.get(symbol) ?? symbol;
+  return TICKER_PATTERN.test(symbol) ? symbol : '';
+}
+
+// Market terms that must follow a context alias; the first letter may be either case for title-case headlines.
+const MARKET_TERMS = ['shares', 'stock', 'stocks', 'earnings', 'revenue', 'sales', 'profit', 'results', 'guidance', 'investors', 'shareholders', 'CEO', 'Inc', 'Corp']
+  .map((term) => `[${term[0].toUpperCase()}${term[0].toLowerCase()}]${term.slice(1)}`)
+  .join('|');
+
+// Longest alias first, so "Alphabet Class C" wins over "Alphabet".
+const ALIASES = COMPANIES.flatMap((c) => [
+  ...(c.aliases ?? []).map((alias) => ({ alias, symbol: c.symbol, context: false })),
+  ...(c.contextAliases ?? []).map((alias) => ({ alias, symbol: c.symbol, context: true }))
+])
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ alias, symbol, context }) => {
+    const after = context ? `(?=(?:['’]s)?\\s+(?:${MARKET_TERMS})(?![A-Za-z0-9]))` : '(?![A-Za-z0-9])';
+    return { symbol, pattern: new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(alias)}${after}`, 'g') };
+  });
+
+const CASHTAG = /(?<![A-Za-z0-9])\$([A-Za-z]{1,6}(?:[.\-][A-Za-z])?)(?![A-Za-z0-9])/g;
+const QUALIFIED = /\b(?:NASDAQ|NYSE(?: American| Arca)?|AMEX|CBOE|OTC)\s*:\s*([A-Z]{1,6}(?:[.\-][A-Z])?)\b/gi;
+const BARE_TICKER = /(?<![A-Za-z0-9$])([A-Z]{3,5}(?:\.[A-Z])?)(?![A-Za-z0-9])/g;
+
+function isShouting(text: string): boolean {
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  return letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.6;
+}
+
+/**
+ * Counts ticker mentions in free text: cashtags and exchange-qualified
+ * tickers (any symbol), bare upper-case tickers and company names/aliases
+ * (bundled table only).
+ */
+export function countMentions(text: string): Map<string, number> {
+  const counts = new Map<string, number>();
+  const add = (symbol: string) => {
+    if (symbol) counts.set(symbol, (counts.get(symbol) ?? 0) + 1);
+  };
+
+  for (const m of text.matchAll(CASHTAG)) add(normalizeSymbol(m[1]));
+  for (const m of text.matchAll(QUALIFIED)) add(normalizeSymbol(m[1]));
+
+  if (!isShouting(text)) {
+    for (const m of text.matchAll(BARE_TICKER)) {
+      const symbol = normalizeSymbol(m[1]);
+      if (KNOWN.has(symbol)) add(symbol);
+    }
+  }
+
+  const taken: [number, number][] = [];
+  for (const { symbol, pattern } of ALIASES) {
+    for (const m of text.matchAll(pattern)) {
+      const start = m.index ?? 0;
+      const end = start + m[0].length;
+      if (taken.some(([s, e]) => start < e && end > s)) continue;
+      taken.push([start, end]);
+      add(symbol);
+    }
+  }
+
+  return counts;
+}
+
+export function extractSymbols(text: string): string[] {
+  return Array.from(countMentions(text).keys());
+}
+
+/**
+ * Normalizes provider-supplied symbols and adds any found in the title or
+ * summary, recording where each one came from.
+ */
+export function resolveSymbols(item: NewsItem): NewsItem {
+  const origins: Record<string, SymbolOrigin> = {};
+  for (const raw of item.symbols) {
+    const symbol = normalizeSymbol(raw);
+    if (symbol) origins[symbol] ??= 'provider';
+  }
+  for (const symbol of extractSymbols(`${item.title}\n${item.summary}`)) {
+    origins[symbol] ??= 'inferred';
+  }
+  return { ...item, symbols: Object.keys(origins), symbol_origins: origins };
+}
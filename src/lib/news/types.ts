@@ -0,0 +1,63 @@
+﻿export type ProviderId = 'alphavantage' | 'fmp' | 'finnhub' | 'mock';
+
+export type NewsSource = {
+  provider: ProviderId;
+  source: string;
+  id: string;
+  url: string;
+};
+
+export type SentimentLabel = 'positive' | 'negative' | 'neutral';
+
+export type Sentiment = {
+  score: number;
+  label: SentimentLabel;
+};
+
+export type SymbolOrigin = 'provider' | 'inferred';
+
+export type NewsItem = {
+  id: string;
+  title: string;
+  summary: string;
+  url: string;
+  published_at: string;
+  source: string;
+  symbols: string[];
+  provider: ProviderId;
+  sources?: NewsSource[];
+  symbol_origins?: Record<string, SymbolOrigin>;
+  sentiment?: Sentiment;
+  relevance?: Record<string, number>;
+};
+
+export type FetchLike = (input: string, init?: RequestInit) => Promise<Response>;
+
+export type ProviderQuery = {
+  symbols?: string[];
+  limit?: number;
+};
+
+export interface NewsProvider {
+  id: ProviderId;
+  fetchNews(query: ProviderQuery): Promise<NewsItem[]>;
+}
+
+export type ProviderFetchResult = {
+  items: NewsItem[];
+  stale: boolean;
+  /** Served stale because the rate-limit budget is spent, not just while revalidating. */
+  rateLimited?: boolean;
+};
+
+export type ProviderAdapterOptions = {
+  apiKey: string;
+  fetch?: FetchLike;
+  timeoutMs?: number;
+};
+
+export type ProviderErrorInfo = {
+  provider: string;
+  message: string;
+  status?: number;
+};
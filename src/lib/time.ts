@@ -0,0 +1,21 @@
+﻿const UNITS: [Intl.RelativeTimeFormatUnit, number][] = [
+  ['year', 365 * 86_400_000],
+  ['month', 30 * 86_400_000],
+  ['week', 7 * 86_400_000],
+  ['day', 86_400_000],
+  ['hour', 3_600_000],
+  ['minute', 60_000]
+];
+
+const formatter = new Intl.RelativeTimeFormat('en', { numeric: 'auto', style: 'short' });
+
+export function formatRelativeTime(iso: string, now = Date.now()): string {
+  const time = Date.parse(iso);
+  if (Number.isNaN(time)) return '';
+  const diff = time - now;
+  if (Math.abs(diff) < 60_000) return 'just now';
+  for (const [unit, ms] of UNITS) {
+    if (Math.abs(diff) >= ms) return formatter.format(Math.round(diff / ms), unit);
+  }
+  return 'just now';
+}
@@ -0,0 +1,25 @@
+﻿export function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Runs async tasks one at a time, in call order; a failed task doesn't block the ones after it. */
+export class WriteQueue {
+  private tail: Promise<unknown> = Promise.resolve();
+
+  run<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.tail.then(task, task);
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+/**
+ * One instance per server process. The dev server re-evaluates modules on
+ * every edit, so module-level state would otherwise be duplicated: a second
+ * polling loop, an empty cache, or two write queues on the same files.
+ */
+export function processSingleton<T>(key: string, create: () => T): T {
+  const registry = globalThis as typeof globalThis & { [key: string]: unknown };
+  registry[key] ??= create();
+  return registry[key] as T;
+}
@@ -0,0 +1,254 @@
+﻿import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer, type IncomingHttpHeaders } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { matchesRule, parseRuleInput } from '../src/lib/alerts/rules';
+import { AlertStore } from '../src/lib/alerts/store';
+import { isPrivateHost } from '../src/lib/alerts/targets';
+import { deliverWebhook, signatureHeader, verifySignature } from '../src/lib/alerts/webhook';
+import type { AlertRule, DeliveryRecord } from '../src/lib/alerts/types';
+import { withScores } from '../src/lib/news/sentiment';
+import type { NewsItem } from '../src/lib/news/types';
+
+const SECRET = 'secret-secret-secret';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'alerts-test-'));
+let stores = 0;
+
+const storeDir = () => path.join(dataDir, `store-${++stores}`);
+
+function newRule(input: Record<string, unknown> = {}): AlertRule {
+  const parsed = parseRuleInput({ name: 'Tesla', webhook_url: 'https://hooks.example.com/a', symbols: ['TSLA'], ...input });
+  assert.ok(parsed.ok);
+  return parsed.rule;
+}
+
+function delivery(url: string): DeliveryRecord {
+  return {
+    id: 'd1',
+    rule_id: 'r1',
+    item_id: 'i1',
+    url,
+    status: 'pending',
+    attempts: [],
+    created_at: new Date().toISOString(),
+    completed_at: null
+  };
+}
+
+/** Answers each request with the next status (the last one repeats) and records what it got. */
+function statusFetch(...responses: Response[]) {
+  let calls = 0;
+  const fetchImpl = async () => responses[Math.min(calls++, responses.length - 1)].clone();
+  return Object.assign(fetchImpl, { calls: () => calls });
+}
+
+function recordingSleep() {
+  const delays: number[] = [];
+  const sleep = async (ms: number) => {
+    delays.push(ms);
+  };
+  return Object.assign(sleep, { delays });
+}
+
+function newsItem(title: string, symbols: string[], summary = ''): NewsItem {
+  return withScores({
+    id: 'mock_1',
+    title,
+    summary,
+    url: 'https://example.com/story',
+    published_at: '2024-01-15T14:30:00.000Z',
+    source: 'Test',
+    symbols,
+    provider: 'mock'
+  });
+}
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+describe('webhook targets', () => {
+  it('treats loopback, private, link-local and local names as private', () => {
+    for (const url of ['http://localhost:3000', 'http://127.0.0.1', 'http://0x7f.1', 'http://[::1]', 'http://10.0.0.5', 'http://169.254.169.254', 'http://[::ffff:192.168.1.1]', 'http://db.internal']) {
+      assert.ok(isPrivateHost(new URL(url)), url);
+    }
+    for (const url of ['https://hooks.example.com', 'http://8.8.8.8', 'http://[2606:4700::1111]']) {
+      assert.ok(!isPrivateHost(new URL(url)), url);
+    }
+  });
+
+  it('rejects rules pointing at private hosts', () => {
+    const result = parseRuleInput({ name: 'x', webhook_url: 'http://169.254.169.254/latest', symbols: ['AAPL'] });
+    assert.ok(!result.ok);
+    assert.deepEqual(result.errors.map((e) => e.param), ['webhook_url']);
+  });
+
+  it('fails deliveries to private addresses without sending a request', async () => {
+    const record = delivery('http://127.0.0.1:9/');
+    let calls = 0;
+    const fetchImpl = async () => {
+      calls++;
+      return new Response('ok');
+    };
+    const result = await deliverWebhook(record.url, SECRET, {}, record, { fetch: fetchImpl, allowPrivateTargets: false });
+    assert.equal(result.status, 'failed');
+    assert.equal(calls, 0);
+  });
+});
+
+describe('webhook signatures', () => {
+  it('verifies its own header and rejects tampering or stale timestamps', () => {
+    const now = 1_705_329_000;
+    const header = signatureHeader(SECRET, '{"a":1}', now);
+    assert.ok(verifySignature(SECRET, header, '{"a":1}', now));
+    assert.ok(!verifySignature(SECRET, header, '{"a":2}', now));
+    assert.ok(!verifySignature(SECRET, header, '{"a":1}', now + 3600));
+  });
+});
+
+describe('deliverWebhook', () => {
+  it('retries a failing receiver and delivers a signed payload', async () => {
+    const received: { headers: IncomingHttpHeaders; body: string }[] = [];
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = received.length === 1 ? 500 : 200;
+        res.end();
+      });
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const { port } = server.address() as AddressInfo;
+      const record = delivery(`http://127.0.0.1:${port}/hook`);
+      const sleep = recordingSleep();
+      const result = await deliverWebhook(record.url, SECRET, { event: 'news.alert' }, record, {
+        allowPrivateTargets: true,
+        sleep
+      });
+
+      assert.equal(result.status, 'delivered');
+      assert.deepEqual(result.attempts.map((a) => a.status), [500, 200]);
+      assert.equal(sleep.delays.length, 1);
+      const last = received[1];
+      assert.equal(last.body, '{"event":"news.alert"}');
+      assert.equal(last.headers['x-alert-delivery'], 'd1');
+      assert.ok(verifySignature(SECRET, String(last.headers['x-alert-signature']), last.body));
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('backs off exponentially on 5xx and gives up after maxAttempts', async () => {
+    const fetchImpl = statusFetch(new Response(null, { status: 503 }));
+    const sleep = recordingSleep();
+    const record = delivery('https://hooks.example.com/a');
+    const result = await deliverWebhook(record.url, SECRET, {}, record, {
+      fetch: fetchImpl,
+      sleep,
+      maxAttempts: 3,
+      baseDelayMs: 1000,
+      // The stub never leaves the process; skip the DNS check on the target.
+      allowPrivateTargets: true
+    });
+    assert.equal(result.status, 'failed');
+    assert.equal(fetchImpl.calls(), 3);
+    assert.equal(sleep.delays.length, 2);
+    assert.ok(sleep.delays[0] >= 800 && sleep.delays[0] <= 1200);
+    assert.ok(sleep.delays[1] >= 1600 && sleep.delays[1] <= 2400);
+  });
+
+  it('waits for Retry-After on 429 and does not retry other 4xx', async () => {
+    const sleep = recordingSleep();
+    const limited = delivery('https://hooks.example.com/a');
+    const options = { sleep, allowPrivateTargets: true };
+    await deliverWebhook(limited.url, SECRET, {}, limited, {
+      ...options,
+      fetch: statusFetch(new Response(null, { status: 429, headers: { 'Retry-After': '7' } }), new Response('ok'))
+    });
+    assert.equal(limited.status, 'delivered');
+    assert.deepEqual(sleep.delays, [7000]);
+
+    const rejected = delivery('https://hooks.example.com/a');
+    const fetchImpl = statusFetch(new Response(null, { status: 400 }));
+    await deliverWebhook(rejected.url, SECRET, {}, rejected, { ...options, fetch: fetchImpl });
+    assert.equal(rejected.status, 'failed');
+    assert.equal(fetchImpl.calls(), 1);
+  });
+});
+
+describe('matchesRule', () => {
+  it('requires every condition: TSLA with negative sentiment', () => {
+    const rule = newRule({ sentiment: 'negative' });
+    assert.ok(matchesRule(rule, newsItem('Tesla shares plunge after recall', ['TSLA'])));
+    assert.ok(!matchesRule(rule, newsItem('Tesla shares surge on record deliveries', ['TSLA'])));
+    assert.ok(!matchesRule(rule, newsItem('Apple shares plunge after recall', ['AAPL'])));
+  });
+
+  it('matches headline keywords as whole words in the title only', () => {
+    const rule = newRule({ symbols: null, headline_keywords: ['halted'] });
+    assert.ok(matchesRule(rule, newsItem('Trading Halted in Acme shares', [])));
+    assert.ok(!matchesRule(rule, newsItem('Acme update', [], 'Trading was halted earlier')));
+    assert.ok(!matchesRule(rule, newsItem('Acme unhalted after review', [])));
+  });
+
+  it('never matches a disabled rule', () => {
+    const rule = newRule({ enabled: false });
+    assert.ok(!matchesRule(rule, newsItem('Tesla shares plunge', ['TSLA'])));
+  });
+});
+
+describe('parseRuleInput updates', () => {
+  it('keeps fields missing from the update', () => {
+    const existing = newRule({ sentiment: 'negative' });
+    const updated = parseRuleInput({ name: 'Renamed' }, existing);
+    assert.ok(updated.ok);
+    assert.deepEqual({ ...updated.rule, updated_at: existing.updated_at }, { ...existing, name: 'Renamed' });
+  });
+
+  it('clears a condition set to null but still requires one', () => {
+    const existing = newRule({ sentiment: 'negative' });
+    const cleared = parseRuleInput({ sentiment: null }, existing);
+    assert.ok(cleared.ok);
+    assert.equal('sentiment' in cleared.rule, false);
+    assert.deepEqual(cleared.rule.symbols, ['TSLA']);
+
+    const empty = parseRuleInput({ symbols: null }, cleared.rule);
+    assert.ok(!empty.ok);
+    assert.deepEqual(empty.errors.map((e) => e.param), ['conditions']);
+  });
+});
+
+describe('AlertStore', () => {
+  it('claims nothing on first start, then only keys not seen before', async () => {
+    const dir = storeDir();
+    assert.deepEqual(await new AlertStore(dir).claimNew(['a', 'b']), []);
+    const restarted = new AlertStore(dir);
+    assert.deepEqual(await restarted.claimNew(['a', 'c', 'c']), ['c']);
+    assert.deepEqual(await restarted.claimNew(['c']), []);
+  });
+
+  it('keeps both of two concurrent updates to a rule', async () => {
+    const dir = storeDir();
+    const store = new AlertStore(dir);
+    const rule = await store.saveRule(newRule());
+    await Promise.all([
+      store.updateRule(rule.id, (existing) => parseRuleInput({ name: 'Renamed' }, existing)),
+      store.updateRule(rule.id, (existing) => parseRuleInput({ keywords: ['recall'] }, existing))
+    ]);
+    const saved = await new AlertStore(dir).getRule(rule.id);
+    assert.deepEqual([saved?.name, saved?.keywords], ['Renamed', ['recall']]);
+  });
+
+  it('saves nothing when the update is invalid or the rule is unknown', async () => {
+    const store = new AlertStore(storeDir());
+    const rule = await store.saveRule(newRule());
+    const updated = await store.updateRule(rule.id, (existing) => parseRuleInput({ name: '' }, existing));
+    assert.ok(updated && !updated.result.ok);
+    assert.equal((await store.getRule(rule.id))?.name, 'Tesla');
+    assert.equal(await store.updateRule('missing', (existing) => parseRuleInput({}, existing)), null);
+  });
+});
@@ -0,0 +1,61 @@
+﻿import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { dedupeNews, normalizeUrl, stripTrackingParams } from '../src/lib/news/dedupe';
+import type { NewsItem } from '../src/lib/news/types';
+
+function item(overrides: Partial<NewsItem>): NewsItem {
+  return {
+    id: 'mock_1',
+    title: 'Acme shares jump after earnings beat',
+    summary: '',
+    url: 'https://example.com/story',
+    published_at: '2024-01-15T14:30:00.000Z',
+    source: 'Example',
+    symbols: [],
+    provider: 'mock',
+    ...overrides
+  };
+}
+
+describe('dedupeNews', () => {
+  it('strips tracking params from the canonical url and every source url', () => {
+    const { items, deduplicated } = dedupeNews([
+      item({ id: 'fmp_a', provider: 'fmp', url: 'https://example.com/story?utm_source=a' }),
+      item({ id: 'finnhub_b', provider: 'finnhub', url: 'https://www.example.com/story?fbclid=x&page=2' })
+    ]);
+    assert.equal(deduplicated, 1);
+    assert.equal(items[0].url, 'https://example.com/story');
+    assert.deepEqual(
+      items[0].sources?.map((s) => s.url),
+      ['https://example.com/story', 'https://www.example.com/story?page=2']
+    );
+  });
+
+  it('keeps articles that differ only by a content id apart', () => {
+    const { items } = dedupeNews([
+      item({ id: 'a', url: 'https://ex.com/a?cid=1' }),
+      item({ id: 'b', title: 'Bond yields climb to a two-month high', url: 'https://ex.com/a?cid=2' })
+    ]);
+    assert.equal(items.length, 2);
+  });
+
+  it('keeps unrelated stories apart', () => {
+    const { items } = dedupeNews([
+      item({ id: 'a' }),
+      item({ id: 'b', title: 'Central bank holds rates steady', url: 'https://example.com/other' })
+    ]);
+    assert.equal(items.length, 2);
+  });
+});
+
+describe('url helpers', () => {
+  it('folds hosts and amp paths for comparison only', () => {
+    assert.equal(normalizeUrl('https://m.example.com/story/amp?b=2&a=1'), normalizeUrl('https://example.com/story?a=1&b=2'));
+    assert.equal(stripTrackingParams('https://m.example.com/story?utm_medium=x'), 'https://m.example.com/story');
+  });
+
+  it('keeps params that may identify the article', () => {
+    assert.notEqual(normalizeUrl('https://ex.com/a?cid=1'), normalizeUrl('https://ex.com/a?cid=2'));
+    assert.equal(stripTrackingParams('https://ex.com/a?ref=42&gclid=x'), 'https://ex.com/a?ref=42');
+  });
+});
@@ -0,0 +1,77 @@
+﻿import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { toAtom, toCsv, toRss } from '../src/lib/news/export';
+import type { NewsItem } from '../src/lib/news/types';
+
+function item(overrides: Partial<NewsItem>): NewsItem {
+  return {
+    id: 'mock_1',
+    title: 'Acme shares jump',
+    summary: '',
+    url: 'https://example.com/story',
+    published_at: '2024-01-15T14:30:00.000Z',
+    source: 'Example',
+    symbols: [],
+    provider: 'mock',
+    ...overrides
+  };
+}
+
+const feed = {
+  title: 'News & more',
+  link: 'https://news.test/',
+  selfLink: 'https://news.test/api/news/export?format=rss&symbols=A&q=<x>',
+  updatedAt: '2024-01-15T15:00:00.000Z'
+};
+
+/** Data rows of a CSV export, without the header. */
+const rows = (csv: string) => csv.split('\r\n').slice(1, -1);
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes and newlines', () => {
+    const [row] = rows(toCsv([item({ title: 'Acme, Inc. says "no"', summary: 'line one\nline two' })]));
+    assert.ok(row.startsWith('mock_1,2024-01-15T14:30:00.000Z,"Acme, Inc. says ""no""","line one\nline two",'));
+  });
+
+  it('prefixes text cells that a spreadsheet would run as a formula', () => {
+    for (const title of ['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)']) {
+      const [row] = rows(toCsv([item({ title })]));
+      const cell = row.split(',')[2];
+      assert.ok(cell.startsWith("'") || cell.startsWith(`"'`), `${title} -> ${cell}`);
+    }
+  });
+
+  it('leaves negative sentiment scores numeric', () => {
+    const [row] = rows(toCsv([item({ sentiment: { score: -0.5, label: 'negative' } })]));
+    assert.match(row, /,-0\.5,negative,$/);
+  });
+});
+
+describe('feeds', () => {
+  const tricky = item({
+    title: `Q&A: <b>"Acme"</b> isn't done`,
+    url: 'https://example.com/story?a=1&b=2',
+    symbols: ['A&B']
+  });
+
+  it('escapes markup in RSS', () => {
+    const rss = toRss([tricky], feed);
+    assert.ok(rss.includes('<title>Q&amp;A: &lt;b&gt;&quot;Acme&quot;&lt;/b&gt; isn&apos;t done</title>'));
+    assert.ok(rss.includes('<link>https://example.com/story?a=1&amp;b=2</link>'));
+    assert.ok(rss.includes('<category>A&amp;B</category>'));
+    assert.ok(rss.includes('href="https://news.test/api/news/export?format=rss&amp;symbols=A&amp;q=&lt;x&gt;"'));
+    assert.ok(!rss.includes('<b>'));
+  });
+
+  it('escapes markup in Atom attributes and text', () => {
+    const atom = toAtom([tricky], feed);
+    assert.ok(atom.includes('<title>News &amp; more</title>'));
+    assert.ok(atom.includes('<link href="https://example.com/story?a=1&amp;b=2"/>'));
+    assert.ok(atom.includes('<category term="A&amp;B"/>'));
+    assert.ok(!atom.includes('<b>'));
+  });
+
+  it('drops characters XML cannot carry', () => {
+    assert.ok(toAtom([item({ title: 'bad\u0001char' })], feed).includes('<title>badchar</title>'));
+  });
+});
@@ -0,0 +1,169 @@
+﻿import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { TtlCache } from '../src/lib/news/cache';
+import { fetchWithPolicy, getProviderStats } from '../src/lib/news/guard';
+import { ProviderError } from '../src/lib/news/http';
+import { TokenBucket, tryTakeAll } from '../src/lib/news/rateLimit';
+import type { NewsItem, NewsProvider, ProviderId, ProviderQuery } from '../src/lib/news/types';
+
+const MINUTE = 60_000;
+const T0 = Date.UTC(2024, 0, 15, 12);
+
+/** A provider that counts upstream calls; `gate` holds responses until released. */
+function countingProvider(id: ProviderId) {
+  let release: (() => void) | null = null;
+  const provider = {
+    id,
+    calls: [] as ProviderQuery[],
+    gate: null as Promise<void> | null,
+    hold() {
+      provider.gate = new Promise<void>((resolve) => (release = resolve));
+    },
+    release() {
+      release?.();
+      provider.gate = null;
+    },
+    async fetchNews(query: ProviderQuery): Promise<NewsItem[]> {
+      provider.calls.push(query);
+      const call = provider.calls.length;
+      if (provider.gate) await provider.gate;
+      return [
+        {
+          id: `${id}_${call}`,
+          title: `Call ${call}`,
+          summary: '',
+          url: `https://example.com/${call}`,
+          published_at: new Date(T0).toISOString(),
+          source: 'Test',
+          symbols: query.symbols ?? [],
+          provider: id
+        }
+      ];
+    }
+  };
+  return provider satisfies NewsProvider;
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('TokenBucket', () => {
+  it('allows the configured burst, then refills over the interval', () => {
+    const bucket = new TokenBucket({ requests: 5, intervalMs: MINUTE }, T0);
+    for (let i = 0; i < 5; i++) assert.ok(bucket.tryTake(1, T0));
+    assert.ok(!bucket.tryTake(1, T0));
+    assert.equal(bucket.remaining(T0 + 11_999), 0);
+    assert.ok(bucket.tryTake(1, T0 + 12_000));
+    assert.equal(bucket.remaining(T0 + 10 * MINUTE), 5);
+  });
+
+  it('tryTakeAll takes from every bucket or from none', () => {
+    const minute = new TokenBucket({ requests: 5, intervalMs: MINUTE }, T0);
+    const day = new TokenBucket({ requests: 2, intervalMs: 86_400_000 }, T0);
+    assert.ok(tryTakeAll([minute, day], 2, T0));
+    assert.ok(!tryTakeAll([minute, day], 1, T0));
+    assert.equal(minute.remaining(T0), 3);
+  });
+});
+
+describe('TtlCache', () => {
+  it('serves fresh entries, then stale ones until maxStaleMs', () => {
+    const cache = new TtlCache<string>(10, 5 * MINUTE);
+    cache.set('k', 'v', MINUTE, T0);
+    assert.equal(cache.get('k', T0 + 59_999)?.fresh, true);
+    assert.equal(cache.get('k', T0 + MINUTE)?.fresh, false);
+    assert.equal(cache.get('k', T0 + 6 * MINUTE)?.value, 'v');
+    assert.equal(cache.get('k', T0 + 6 * MINUTE + 1), undefined);
+  });
+
+  it('evicts the least recently used entry', () => {
+    const cache = new TtlCache<number>(2);
+    cache.set('a', 1, MINUTE, T0);
+    cache.set('b', 2, MINUTE, T0);
+    cache.get('a', T0);
+    cache.set('c', 3, MINUTE, T0);
+    assert.equal(cache.get('b', T0), undefined);
+    assert.equal(cache.get('a', T0)?.value, 1);
+    assert.equal(cache.size, 2);
+  });
+});
+
+describe('fetchWithPolicy', () => {
+  beforeEach(() => {
+    // The guard keeps budgets and cache per process; start each case from scratch.
+    delete (globalThis as { __newsGuard?: unknown }).__newsGuard;
+  });
+
+  it('serves from cache within the TTL', async () => {
+    const provider = countingProvider('alphavantage');
+    const first = await fetchWithPolicy(provider, {}, T0);
+    const second = await fetchWithPolicy(provider, {}, T0 + 14 * MINUTE);
+    assert.equal(provider.calls.length, 1);
+    assert.deepEqual(second, { items: first.items, stale: false });
+    assert.deepEqual(getProviderStats('alphavantage').cache, { hits: 1, misses: 1, hit_ratio: 0.5 });
+  });
+
+  it('serves stale while revalidating when budget is left', async () => {
+    const provider = countingProvider('alphavantage');
+    await fetchWithPolicy(provider, {}, T0);
+    const stale = await fetchWithPolicy(provider, {}, T0 + 16 * MINUTE);
+    assert.deepEqual({ stale: stale.stale, rateLimited: stale.rateLimited, id: stale.items[0].id }, {
+      stale: true,
+      rateLimited: false,
+      id: 'alphavantage_1'
+    });
+    await flush();
+    assert.equal(provider.calls.length, 2);
+    const refreshed = await fetchWithPolicy(provider, {}, T0 + 16 * MINUTE + 1);
+    assert.deepEqual([refreshed.stale, refreshed.items[0].id], [false, 'alphavantage_2']);
+  });
+
+  it('stops calling upstream once the per-minute budget is spent', async () => {
+    const provider = countingProvider('alphavantage');
+    for (let i = 0; i < 5; i++) await fetchWithPolicy(provider, { symbols: [`S${i}`] }, T0);
+    await assert.rejects(
+      fetchWithPolicy(provider, { symbols: ['S5'] }, T0),
+      (err) => err instanceof ProviderError && err.status === 429 && err.provider === 'alphavantage'
+    );
+    assert.equal(provider.calls.length, 5);
+  });
+
+  it('flags stale results as rate limited when the budget is spent', async () => {
+    const provider = countingProvider('alphavantage');
+    for (let i = 0; i < 5; i++) await fetchWithPolicy(provider, { symbols: [`S${i}`] }, T0);
+    // 16 minutes refill the minute bucket but the day bucket (25/day) only regains a fraction.
+    const later = T0 + 16 * MINUTE;
+    for (let i = 0; i < 5; i++) await fetchWithPolicy(provider, { symbols: [`T${i}`] }, later);
+    for (let i = 0; i < 5; i++) await fetchWithPolicy(provider, { symbols: [`U${i}`] }, later + 2 * MINUTE);
+    for (let i = 0; i < 5; i++) await fetchWithPolicy(provider, { symbols: [`V${i}`] }, later + 4 * MINUTE);
+    for (let i = 0; i < 5; i++) await fetchWithPolicy(provider, { symbols: [`W${i}`] }, later + 6 * MINUTE);
+    assert.equal(provider.calls.length, 25);
+
+    const result = await fetchWithPolicy(provider, { symbols: ['S0'] }, T0 + 30 * MINUTE);
+    await flush();
+    assert.deepEqual([result.stale, result.rateLimited], [true, true]);
+    assert.equal(provider.calls.length, 25);
+  });
+
+  it('shares one upstream request between concurrent callers', async () => {
+    const provider = countingProvider('fmp');
+    provider.hold();
+    const pending = [fetchWithPolicy(provider, {}, T0), fetchWithPolicy(provider, {}, T0)];
+    await flush();
+    provider.release();
+    const [a, b] = await Promise.all(pending);
+    assert.equal(provider.calls.length, 1);
+    assert.equal(a.items, b.items);
+    assert.equal(getProviderStats('fmp', T0).budget[0].remaining, 249);
+  });
+
+  it('charges fan-out providers per requested symbol', async () => {
+    const provider = countingProvider('finnhub');
+    const symbols = (prefix: string) => Array.from({ length: 25 }, (_, i) => `${prefix}${i}`);
+    await fetchWithPolicy(provider, { symbols: symbols('A') }, T0);
+    await fetchWithPolicy(provider, { symbols: symbols('B') }, T0);
+    assert.equal(getProviderStats('finnhub', T0).budget[0].remaining, 10);
+    await assert.rejects(fetchWithPolicy(provider, { symbols: symbols('C') }, T0), (err) => err instanceof ProviderError && err.status === 429);
+    await fetchWithPolicy(provider, { symbols: ['D'] }, T0);
+    assert.equal(provider.calls.length, 3);
+  });
+});
@@ -0,0 +1,133 @@
+﻿import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, describe, it } from 'node:test';
+import { NextRequest } from 'next/server';
+import { GET as streamNews } from '../app/api/news/stream/route';
+import { getAlertStore } from '../src/lib/alerts/store';
+import { eventsSince, publishItems } from '../src/lib/news/ingest';
+import { getNewsStore } from '../src/lib/news/store';
+import type { NewsItem } from '../src/lib/news/types';
+
+// publishItems archives and evaluates alerts; keep both out of the working tree.
+const dataDir = mkdtempSync(path.join(tmpdir(), 'ingest-test-'));
+process.env.NEWS_ARCHIVE_DIR = path.join(dataDir, 'archive');
+process.env.ALERTS_DIR = path.join(dataDir, 'alerts');
+
+let counter = 0;
+
+function item(symbols: string[] = [], minutesAgo = 0): NewsItem {
+  const n = ++counter;
+  return {
+    id: `mock_${n}`,
+    title: `Headline ${n}`,
+    summary: '',
+    url: `https://example.com/story/${n}`,
+    published_at: new Date(Date.now() - minutesAgo * 60_000).toISOString(),
+    source: 'Test',
+    symbols,
+    provider: 'mock'
+  };
+}
+
+const ids = (events: { item: NewsItem }[]) => events.map((e) => e.item.id);
+
+beforeEach(() => {
+  delete (globalThis as { __newsIngest?: unknown }).__newsIngest;
+});
+
+after(async () => {
+  // Let queued archive and alert writes finish before removing their directory.
+  await getNewsStore().prune();
+  await getAlertStore().claimNew([]);
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('publishItems', () => {
+  it('numbers new items oldest first and skips ones already seen', () => {
+    const older = item([], 10);
+    const newer = item([], 1);
+    assert.deepEqual(
+      publishItems([newer, older]).map((e) => [e.seq, e.item.id]),
+      [
+        [1, older.id],
+        [2, newer.id]
+      ]
+    );
+    const duplicate = { ...older, id: 'other_id', url: `${older.url}?utm_source=feed` };
+    assert.deepEqual(publishItems([duplicate, newer]), []);
+  });
+});
+
+describe('eventsSince', () => {
+  it('replays everything after the given seq', () => {
+    const items = [item([], 3), item([], 2), item([], 1)];
+    publishItems(items);
+    assert.deepEqual(eventsSince(1), { events: eventsSince(0).events.slice(1), complete: true });
+    assert.deepEqual(ids(eventsSince(1).events), [items[1].id, items[2].id]);
+    assert.deepEqual(eventsSince(3), { events: [], complete: true });
+  });
+
+  it('reports an incomplete replay once the buffer has rolled over', () => {
+    publishItems(Array.from({ length: 1005 }, (_, i) => item([], 2000 - i)));
+    const { events, complete } = eventsSince(2);
+    assert.equal(complete, false);
+    assert.equal(events.length, 1000);
+    assert.equal(events[0].seq, 6);
+    assert.equal(eventsSince(5).complete, true);
+  });
+
+  it('replays the whole buffer for an id from before a restart', () => {
+    publishItems([item(), item()]);
+    const { events, complete } = eventsSince(500);
+    assert.equal(complete, false);
+    assert.deepEqual(
+      events.map((e) => e.seq),
+      [1, 2]
+    );
+  });
+});
+
+async function readUntil(reader: ReadableStreamDefaultReader<Uint8Array>, done: (text: string) => boolean): Promise<string> {
+  const decoder = new TextDecoder();
+  let text = '';
+  const deadline = Date.now() + 2000;
+  while (!done(text) && Date.now() < deadline) {
+    const { value } = await reader.read();
+    text += decoder.decode(value);
+  }
+  return text;
+}
+
+describe('GET /api/news/stream', () => {
+  it('replays from Last-Event-ID and streams only events matching the symbols filter', async () => {
+    const apple = item(['AAPL'], 2);
+    const tesla = item(['TSLA'], 1);
+    publishItems([apple, tesla]);
+
+    const abort = new AbortController();
+    const res = await streamNews(
+      new NextRequest('http://localhost/api/news/stream?symbols=aapl', {
+        headers: { 'last-event-id': '0' },
+        signal: abort.signal
+      })
+    );
+    assert.equal(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    const reader = res.body!.getReader();
+
+    const replay = await readUntil(reader, (text) => text.includes(apple.id));
+    assert.match(replay, /^retry: \d+\n\n/);
+    assert.match(replay, new RegExp(`id: 1\nevent: news\ndata: .*"${apple.id}"`));
+    assert.ok(!replay.includes(tesla.id));
+
+    const live = [item(['TSLA']), item(['AAPL'])];
+    publishItems(live);
+    const streamed = await readUntil(reader, (text) => text.includes(live[1].id));
+    assert.match(streamed, new RegExp(`id: 4\nevent: news\ndata: .*"${live[1].id}"`));
+    assert.ok(!streamed.includes(live[0].id));
+
+    abort.abort();
+    await reader.cancel();
+  });
+});
@@ -0,0 +1,139 @@
+﻿import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { ProviderError } from '../src/lib/news/http';
+import {
+  createAlphaVantageProvider,
+  createFinnhubProvider,
+  createFmpProvider
+} from '../src/lib/news/providers';
+import { mapAlphaVantagePayload } from '../src/lib/news/providers/alphavantage';
+import { mapFinnhubPayload } from '../src/lib/news/providers/finnhub';
+import { mapFmpPayload } from '../src/lib/news/providers/fmp';
+import type { FetchLike } from '../src/lib/news/types';
+
+function fixture(name: string): unknown {
+  return JSON.parse(readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+}
+
+/** Serves recorded payloads by URL path and keeps the requested URLs for assertions. */
+function fixtureFetch(routes: Record<string, string>): FetchLike & { urls: URL[] } {
+  const urls: URL[] = [];
+  const fetchImpl = async (input: string) => {
+    const url = new URL(input);
+    urls.push(url);
+    const name = routes[url.pathname];
+    if (!name) return new Response('not found', { status: 404 });
+    return Response.json(fixture(name));
+  };
+  return Object.assign(fetchImpl, { urls });
+}
+
+describe('Alpha Vantage', () => {
+  it('parses time_published as UTC with or without seconds', () => {
+    const items = mapAlphaVantagePayload(fixture('alphavantage'));
+    assert.deepEqual(
+      items.map((i) => i.published_at),
+      ['2024-01-15T14:30:00.000Z', '2024-01-15T09:05:00.000Z']
+    );
+  });
+
+  it('maps tickers, source and stable ids', () => {
+    const [first, second] = mapAlphaVantagePayload(fixture('alphavantage'));
+    assert.deepEqual(first.symbols, ['AAPL', 'MSFT']);
+    assert.equal(first.source, 'Benzinga');
+    assert.equal(first.provider, 'alphavantage');
+    assert.match(first.id, /^alphavantage_[0-9a-z]+$/);
+    assert.equal(mapAlphaVantagePayload(fixture('alphavantage'))[0].id, first.id);
+    assert.deepEqual(second.symbols, []);
+  });
+
+  it('surfaces the rate limit notice as a ProviderError', () => {
+    assert.throws(
+      () => mapAlphaVantagePayload(fixture('alphavantage-rate-limit')),
+      (err) => err instanceof ProviderError && /rate limit/.test(err.message)
+    );
+  });
+
+  it('requests NEWS_SENTIMENT with the tickers', async () => {
+    const fetchImpl = fixtureFetch({ '/query': 'alphavantage' });
+    const provider = createAlphaVantageProvider({ apiKey: 'test', fetch: fetchImpl });
+    const items = await provider.fetchNews({ symbols: ['AAPL', 'MSFT'], limit: 10 });
+    assert.equal(items.length, 2);
+    const [url] = fetchImpl.urls;
+    assert.equal(url.searchParams.get('function'), 'NEWS_SENTIMENT');
+    assert.equal(url.searchParams.get('tickers'), 'AAPL,MSFT');
+    assert.equal(url.searchParams.get('limit'), '10');
+  });
+});
+
+describe('FMP', () => {
+  it('treats zone-less publishedDate as UTC and keeps explicit offsets', () => {
+    const items = mapFmpPayload(fixture('fmp'));
+    assert.deepEqual(
+      items.map((i) => i.published_at),
+      ['2024-01-15T14:30:00.000Z', '2024-01-15T14:00:00.000Z']
+    );
+  });
+
+  it('maps site, text and symbol', () => {
+    const [first, second] = mapFmpPayload(fixture('fmp'));
+    assert.equal(first.source, 'reuters.com');
+    assert.match(first.summary, /Model Y/);
+    assert.deepEqual(first.symbols, ['TSLA']);
+    assert.equal(second.source, 'FMP');
+    assert.deepEqual(second.symbols, ['NVDA']);
+  });
+
+  it('surfaces the error message as a ProviderError', () => {
+    assert.throws(
+      () => mapFmpPayload(fixture('fmp-error')),
+      (err) => err instanceof ProviderError && /Invalid API KEY/.test(err.message)
+    );
+  });
+
+  it('returns a ProviderError with the status on HTTP errors', async () => {
+    const provider = createFmpProvider({ apiKey: 'test', fetch: fixtureFetch({}) });
+    await assert.rejects(provider.fetchNews({}), (err) => err instanceof ProviderError && err.status === 404);
+  });
+});
+
+describe('Finnhub', () => {
+  it('converts epoch-second datetimes and splits related symbols', () => {
+    const items = mapFinnhubPayload(fixture('finnhub-general'));
+    assert.deepEqual(
+      items.map((i) => [i.id, i.published_at, i.symbols]),
+      [
+        ['finnhub_7351234', '2024-01-15T14:30:00.000Z', []],
+        ['finnhub_7351220', '2024-01-15T13:30:00.000Z', ['MSFT', 'AAPL']]
+      ]
+    );
+  });
+
+  it('surfaces the error message as a ProviderError', () => {
+    assert.throws(
+      () => mapFinnhubPayload(fixture('finnhub-error')),
+      (err) => err instanceof ProviderError && err.message === 'Invalid API key'
+    );
+  });
+
+  it('uses general news without symbols', async () => {
+    const fetchImpl = fixtureFetch({ '/api/v1/news': 'finnhub-general' });
+    const provider = createFinnhubProvider({ apiKey: 'test', fetch: fetchImpl });
+    const items = await provider.fetchNews({ limit: 1 });
+    assert.equal(items.length, 1);
+    assert.equal(fetchImpl.urls[0].searchParams.get('category'), 'general');
+  });
+
+  it('fans out company news per symbol and tags each item', async () => {
+    const fetchImpl = fixtureFetch({ '/api/v1/company-news': 'finnhub-company' });
+    const provider = createFinnhubProvider({ apiKey: 'test', fetch: fetchImpl });
+    const items = await provider.fetchNews({ symbols: ['META', 'GOOGL'] });
+    assert.deepEqual(
+      fetchImpl.urls.map((u) => u.searchParams.get('symbol')),
+      ['META', 'GOOGL']
+    );
+    assert.deepEqual(items.map((i) => i.symbols), [['META'], ['GOOGL', 'META']]);
+  });
+});
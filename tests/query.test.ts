@@ -0,0 +1,134 @@
+﻿import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { filterNews, paginateNews, parseNewsQuery, sortNews, type NewsQuery } from '../src/lib/news/query';
+import type { NewsItem } from '../src/lib/news/types';
+
+const parse = (query: string) => parseNewsQuery(new URLSearchParams(query));
+
+function query(qs: string): NewsQuery {
+  const result = parse(qs);
+  assert.ok(result.ok, JSON.stringify(!result.ok && result.errors));
+  return result.query;
+}
+
+function item(id: string, minutesAgo: number, overrides: Partial<NewsItem> = {}): NewsItem {
+  return {
+    id,
+    title: `Headline ${id}`,
+    summary: '',
+    url: `https://example.com/${id}`,
+    published_at: new Date(Date.UTC(2024, 0, 15, 12) - minutesAgo * 60_000).toISOString(),
+    source: 'Reuters',
+    symbols: [],
+    provider: 'finnhub',
+    ...overrides
+  };
+}
+
+/** Follows next_cursor until the end and returns the ids in page order. */
+function pageThrough(items: NewsItem[], qs: string): string[][] {
+  const pages: string[][] = [];
+  let cursor: string | null = null;
+  do {
+    const q = query(cursor ? `${qs}&cursor=${cursor}` : qs);
+    const page = paginateNews(sortNews(filterNews(items, q), q), q);
+    pages.push(page.items.map((i) => i.id));
+    cursor = page.nextCursor;
+  } while (cursor && pages.length < 20);
+  return pages;
+}
+
+describe('parseNewsQuery since/until', () => {
+  it('accepts ISO-8601 and epoch milliseconds', () => {
+    const result = parse('since=2024-01-15T00:00:00Z&until=1705363200000');
+    assert.ok(result.ok);
+    assert.equal(result.query.since, '2024-01-15T00:00:00.000Z');
+    assert.equal(result.query.until, '2024-01-16T00:00:00.000Z');
+  });
+
+  for (const value of ['2024', '20240115', '1705363200']) {
+    it(`rejects the ambiguous digit string ${value}`, () => {
+      const result = parse(`since=${value}`);
+      assert.ok(!result.ok);
+      assert.deepEqual(result.errors.map((e) => e.param), ['since']);
+    });
+  }
+});
+
+describe('filterNews', () => {
+  const items = [
+    item('a', 1, { symbols: ['AAPL'], title: 'Apple shares rise on record iPhone sales' }),
+    item('b', 2, { symbols: ['TSLA'], source: 'Bloomberg', provider: 'fmp' }),
+    item('c', 3, {
+      symbols: ['AAPL', 'MSFT'],
+      summary: 'Microsoft and Apple both beat estimates',
+      sources: [{ provider: 'alphavantage', source: 'Benzinga', id: 'x', url: 'https://example.com/x' }]
+    })
+  ];
+  const ids = (qs: string) => filterNews(items, query(qs)).map((i) => i.id);
+
+  it('matches any requested symbol, normalized', () => {
+    assert.deepEqual(ids('symbols=aapl'), ['a', 'c']);
+    assert.deepEqual(ids('symbols=TSLA,MSFT'), ['b', 'c']);
+  });
+
+  it('matches sources by provider or outlet, including merged sources', () => {
+    assert.deepEqual(ids('sources=bloomberg'), ['b']);
+    assert.deepEqual(ids('sources=fmp'), ['b']);
+    assert.deepEqual(ids('sources=Benzinga'), ['c']);
+  });
+
+  it('requires every q term in the title or summary, case-insensitively', () => {
+    assert.deepEqual(ids('q=apple'), ['a', 'c']);
+    assert.deepEqual(ids('q=APPLE%20estimates'), ['c']);
+  });
+});
+
+describe('sortNews and paginateNews', () => {
+  // Two items share a timestamp so the id tie-break is exercised.
+  const items = [
+    item('e', 5, { symbols: ['AAPL'], relevance: { AAPL: 0.2 } }),
+    item('b', 1, { symbols: ['AAPL'], relevance: { AAPL: 0.9 } }),
+    item('d', 3, { symbols: ['AAPL'], relevance: { AAPL: 0.9 } }),
+    item('a', 1, { symbols: ['AAPL'], relevance: { AAPL: 0.5 } }),
+    item('c', 2, { symbols: ['AAPL'], relevance: { AAPL: 0.5 } })
+  ];
+
+  it('orders newest first with ids breaking ties', () => {
+    assert.deepEqual(sortNews([...items], query('')).map((i) => i.id), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('orders by relevance, then recency', () => {
+    assert.deepEqual(sortNews([...items], query('sort=relevance&symbols=AAPL')).map((i) => i.id), ['b', 'd', 'a', 'c', 'e']);
+  });
+
+  it('pages by published without gaps or repeats', () => {
+    assert.deepEqual(pageThrough(items, 'limit=2'), [['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  it('pages by relevance without gaps or repeats', () => {
+    assert.deepEqual(pageThrough(items, 'limit=2&sort=relevance&symbols=AAPL'), [['b', 'd'], ['a', 'c'], ['e']]);
+  });
+
+  it('keeps later pages stable when newer items arrive', () => {
+    const q = query('limit=2');
+    const first = paginateNews(sortNews([...items], q), q);
+    const grown = [item('z', 0, { symbols: ['AAPL'] }), ...items];
+    const next = query(`limit=2&cursor=${first.nextCursor}`);
+    assert.deepEqual(paginateNews(sortNews(grown, next), next).items.map((i) => i.id), ['c', 'd']);
+  });
+
+  it('rejects a cursor issued for a different sort order', () => {
+    const q = query('limit=2');
+    const { nextCursor } = paginateNews(sortNews([...items], q), q);
+    const result = parse(`sort=relevance&cursor=${nextCursor}`);
+    assert.ok(!result.ok);
+    assert.deepEqual(result.errors, [{ param: 'cursor', message: 'Cursor was issued for a different sort order' }]);
+  });
+
+  it('rejects a malformed cursor', () => {
+    const result = parse('cursor=not-a-cursor');
+    assert.ok(!result.ok);
+    assert.equal(result.errors[0].message, 'Malformed cursor');
+  });
+});
@@ -0,0 +1,89 @@
+﻿import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { scoreRelevance, scoreSentiment, sentimentSeries, withScores } from '../src/lib/news/sentiment';
+import type { NewsItem } from '../src/lib/news/types';
+
+const HOUR = 3_600_000;
+const T0 = Date.UTC(2024, 0, 15, 12);
+
+describe('scoreSentiment', () => {
+  it('labels clear headlines and leaves plain ones neutral', () => {
+    assert.deepEqual(scoreSentiment('Acme beats estimates'), { score: 0.667, label: 'positive' });
+    assert.deepEqual(scoreSentiment('Acme misses estimates, shares plunge'), { score: -0.8, label: 'negative' });
+    assert.deepEqual(scoreSentiment('Acme announces board meeting'), { score: 0, label: 'neutral' });
+  });
+
+  it('does not read the Korean won as a win', () => {
+    assert.equal(scoreSentiment('Dollar slips against won').label, 'neutral');
+  });
+
+  it('flips words preceded by a negator', () => {
+    assert.deepEqual(scoreSentiment('Acme does not beat estimates'), { score: -0.667, label: 'negative' });
+    assert.equal(scoreSentiment("Regulator says merger won't fail").label, 'positive');
+  });
+
+  it('damps the score for uncertain language', () => {
+    const plain = scoreSentiment('Acme beats estimates').score;
+    const hedged = scoreSentiment('Acme beats estimates but outlook may be uncertain').score;
+    assert.ok(hedged > 0 && hedged < plain);
+  });
+
+  it('weighs the headline above the summary', () => {
+    assert.ok(scoreSentiment('Acme beats estimates', 'Shares slump').score > 0);
+    assert.ok(scoreSentiment('Shares slump', 'Acme beats estimates').score < 0);
+  });
+});
+
+describe('scoreRelevance', () => {
+  it('ranks the headline subject above symbols only mentioned in the summary', () => {
+    const relevance = scoreRelevance({ title: 'Apple shares rise', summary: 'AAPL and MSFT $MSFT', symbols: ['AAPL', 'MSFT'] });
+    assert.deepEqual(relevance, { AAPL: 0.696, MSFT: 0.348 });
+  });
+
+  it('gives tagged but unmentioned symbols a low base score', () => {
+    assert.deepEqual(scoreRelevance({ title: 'Markets drift', summary: '', symbols: ['TSLA'] }), { TSLA: 0.2 });
+  });
+});
+
+function scored(title: string, hoursAfter: number, symbols = ['TSLA']): NewsItem {
+  return withScores({
+    id: `${title}_${hoursAfter}`,
+    title,
+    summary: '',
+    url: `https://example.com/${hoursAfter}`,
+    published_at: new Date(T0 + hoursAfter * HOUR).toISOString(),
+    source: 'Test',
+    symbols,
+    provider: 'mock'
+  });
+}
+
+describe('sentimentSeries', () => {
+  it('buckets by time and fills gaps with empty buckets', () => {
+    const series = sentimentSeries(
+      [scored('Tesla beats estimates', 0), scored('Tesla misses estimates', 0.5), scored('Tesla shares plunge', 3)],
+      'TSLA',
+      HOUR
+    );
+    assert.deepEqual(
+      series.map((b) => [b.start.slice(11, 16), b.count, b.score, b.positive, b.negative]),
+      [
+        ['12:00', 2, 0, 1, 1],
+        ['13:00', 0, null, 0, 0],
+        ['14:00', 0, null, 0, 0],
+        ['15:00', 1, -0.667, 0, 1]
+      ]
+    );
+  });
+
+  it('ignores items for other symbols', () => {
+    assert.deepEqual(sentimentSeries([scored('Apple beats estimates', 0, ['AAPL'])], 'TSLA', HOUR), []);
+  });
+
+  it('weights each item by its relevance to the symbol', () => {
+    const headline = scored('Tesla beats estimates', 0);
+    const passing = { ...scored('Shares slump', 0.1), relevance: { TSLA: 0.1 } };
+    const [bucket] = sentimentSeries([headline, passing], 'TSLA', HOUR);
+    assert.ok(bucket.score !== null && bucket.score > 0.3);
+  });
+});
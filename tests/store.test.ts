@@ -0,0 +1,79 @@
+﻿import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { FileNewsStore } from '../src/lib/news/store';
+import type { NewsItem } from '../src/lib/news/types';
+
+const DAY_MS = 86_400_000;
+const root = mkdtempSync(path.join(tmpdir(), 'store-test-'));
+let dirs = 0;
+
+function store(retentionDays = 30) {
+  const dir = path.join(root, `archive-${++dirs}`);
+  return { dir, store: new FileNewsStore({ dir, retentionDays }) };
+}
+
+function item(id: string, published_at: string, url = `https://example.com/${id}`): NewsItem {
+  return { id, title: id, summary: '', url, published_at, source: 'Test', symbols: [], provider: 'mock' };
+}
+
+const daysAgo = (days: number, time = '12:00:00.000Z') =>
+  `${new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10)}T${time}`;
+
+after(() => rmSync(root, { recursive: true, force: true }));
+
+describe('FileNewsStore', () => {
+  it('skips items whose normalized url is already archived', async () => {
+    const { store: archive } = store();
+    await archive.put([item('a', daysAgo(1))]);
+    await archive.put([
+      item('b', daysAgo(1), 'https://www.example.com/a?utm_source=feed'),
+      item('c', daysAgo(1))
+    ]);
+    const ids = (await archive.query({})).map((i) => i.id).sort();
+    assert.deepEqual(ids, ['a', 'c']);
+    assert.equal((await archive.stats()).items, 2);
+  });
+
+  it('does not store items published before the retention window', async () => {
+    const { dir, store: archive } = store(7);
+    await archive.put([item('old', daysAgo(8)), item('edge', daysAgo(7)), item('new', daysAgo(0))]);
+    assert.deepEqual((await archive.query({})).map((i) => i.id).sort(), ['edge', 'new']);
+    assert.equal(readdirSync(dir).length, 2);
+  });
+
+  it('prunes whole days that fall out of the window', async () => {
+    const { store: archive } = store(7);
+    await archive.put([item('a', daysAgo(6)), item('b', daysAgo(6, '23:00:00.000Z')), item('c', daysAgo(1))]);
+    assert.equal(await archive.prune(Date.now() + 2 * DAY_MS), 2);
+    assert.deepEqual((await archive.query({})).map((i) => i.id), ['c']);
+    const stats = await archive.stats();
+    assert.deepEqual([stats.items, stats.oldest], [1, daysAgo(1).slice(0, 10)]);
+  });
+
+  it('queries an inclusive range across day files', async () => {
+    const { store: archive } = store();
+    const times = ['23:59:59.000Z', '00:00:00.000Z', '12:00:00.000Z'];
+    await archive.put([
+      item('before', daysAgo(3, times[0])),
+      item('since', daysAgo(2, times[1])),
+      item('middle', daysAgo(2, times[2])),
+      item('until', daysAgo(1, times[0])),
+      item('after', daysAgo(0, times[1]))
+    ]);
+    const found = await archive.query({ since: daysAgo(2, times[1]), until: daysAgo(1, times[0]) });
+    assert.deepEqual(found.map((i) => i.id).sort(), ['middle', 'since', 'until']);
+  });
+
+  it('retries loading its keys after a failed read', async () => {
+    const blocker = path.join(root, 'blocker');
+    writeFileSync(blocker, '');
+    const archive = new FileNewsStore({ dir: path.join(blocker, 'archive'), retentionDays: 30 });
+    await assert.rejects(archive.put([item('a', daysAgo(0))]), { code: 'ENOTDIR' });
+    rmSync(blocker);
+    await archive.put([item('a', daysAgo(0))]);
+    assert.equal((await archive.stats()).items, 1);
+  });
+});
@@ -0,0 +1,32 @@
+﻿import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { extractSymbols, normalizeSymbol } from '../src/lib/news/symbols';
+
+describe('normalizeSymbol', () => {
+  it('folds share classes, renames and venue suffixes', () => {
+    assert.deepEqual(['brk-b', 'BRK/B', '$FB', 'AAPL.O', 'NASDAQ:MSFT', 'hello world'].map(normalizeSymbol), [
+      'BRK.B',
+      'BRK.B',
+      'META',
+      'AAPL',
+      'MSFT',
+      ''
+    ]);
+  });
+});
+
+describe('extractSymbols', () => {
+  it('ignores names that are ordinary words or people', () => {
+    assert.deepEqual(extractSymbols('Harrison Ford stars in film about the Amazon rainforest'), []);
+    assert.deepEqual(extractSymbols('Apple picking season opens; Oracle of Omaha meets fans'), []);
+  });
+
+  it('matches those names next to a market term', () => {
+    assert.deepEqual(extractSymbols('Ford Shares Slide as Amazon Earnings Loom').sort(), ['AMZN', 'F']);
+    assert.deepEqual(extractSymbols("Apple's revenue tops estimates"), ['AAPL']);
+  });
+
+  it('matches unambiguous names, cashtags and qualified tickers', () => {
+    assert.deepEqual(extractSymbols('Ford Motor and General Motors rally; $TSLA flat; NYSE: GS up').sort(), ['F', 'GM', 'GS', 'TSLA']);
+  });
+});